@@ -1,21 +1,88 @@
 /**
  * calculator.js – Dividend Discount Model Calculator
  */
-import { state, setState, subscribe } from './modules/state.js';
-import { calculateAllModels } from './modules/calculations.js';
-import { renderResults } from './modules/results.js';
-import { renderChart, destroyChart } from './modules/chart.js';
-import { renderTable } from './modules/table.js';
-import { $, listen, debounce } from './modules/utils.js';
+import {
+  state,
+  setState,
+  subscribe,
+  undo,
+  redo,
+  canUndo,
+  canRedo,
+  clearHistory,
+} from './modules/state.js';
+import {
+  calculateAllModels,
+  calculateScenarios,
+  calculateCapmRequired,
+  calculateSustainableGrowth,
+  toModelParams,
+} from './modules/calculations.js';
+import { renderResults, renderComparisonResults } from './modules/results.js';
+import {
+  renderChart,
+  renderComparisonChart,
+  destroyChart,
+  exportChartPNG,
+  exportChartSVG,
+} from './modules/chart.js';
+import {
+  renderTable,
+  renderComparisonTable,
+  downloadTableCSV,
+  downloadTableWorkbook,
+} from './modules/table.js';
+import { renderSensitivity } from './modules/sensitivity.js';
+import { SIMULATED_INPUTS, runSimulation } from './modules/simulation.js';
+import {
+  renderSimulation,
+  renderSimulationTable,
+  destroyHistogram,
+} from './modules/histogram.js';
+import { renderScheduleEditor, readScheduleEditor } from './modules/schedule.js';
+import { parseBatchCSV, renderBatch, downloadBatchCSV } from './modules/batch.js';
+import { serializeState, parseStateFromURL } from './modules/url.js';
+import { openReport } from './modules/report.js';
+import { formatValuation, formatSchedule, copyText } from './modules/clipboard.js';
+import {
+  loadScenarios,
+  saveScenarios,
+  upsertScenario,
+  renameScenario,
+  duplicateScenario,
+  deleteScenario,
+  exportScenarios,
+  importScenarios,
+  renderScenarioList,
+} from './modules/scenarios.js';
+import { $, listen, debounce, focusElement, downloadFile } from './modules/utils.js';
 import {
   validateAll,
+  validateField,
+  getFieldLabel,
   updateFieldError,
   updateValidationSummary,
   hasErrors,
+  validateSimulation,
 } from './modules/validation.js';
 
+const VIEWS = ['chart', 'table', 'sensitivity', 'simulation', 'batch'];
+
+// Data Entry fields, by element id (= key in state.inputs)
+const INPUT_FIELDS = [
+  'D0', 'required', 'gConst', 'gShort', 'gLong', 'shortYears', 'transitionYears', 'halfLife',
+  'gTerminal', 'horizonYears', 'includeTerminal', 'frequency', 'holdingYears', 'marketPrice', 'eps', 'bvps', 'roe', 'payout',
+  'riskFree', 'beta', 'erp', 'sizePremium',
+];
+
+// Debounced Data Entry handlers, flushed before undo/redo
+const inputHandlers = [];
+
 /* ---------- INITIALIZATION ---------- */
 function init() {
+  // A shared link sets the starting scenario; the narrow check below still wins
+  restoreFromURL();
+
   // Check narrow screen FIRST before setting up anything else
   const initialNarrowCheck = window.innerWidth <= 480;
   if (initialNarrowCheck) {
@@ -24,10 +91,29 @@ function init() {
   }
   
   setupInputs();
+  setupScheduleEditor();
+  setupGrowthBuilder();
+  setupCapmBuilder();
   setupModelSelector();
   setupViewToggle();
-  subscribe(updateAll);
+  setupChartModeToggle();
+  setupSensitivityControls();
+  setupSimulationControls();
+  setupBatchControls();
+  setupTableExport();
+  setupChartExport();
+  setupReport();
+  setupCopyButtons();
+  setupScenarioManager();
+  setupHistory();
+  subscribeRenderers();
+  subscribe(s => [s.inputs, s.selectedModel, s.view], syncURL);
+  subscribe(s => [s.inputs, s.selectedModel], updateHistoryButtons);
   updateCalculations();
+
+  // Undo starts from the loaded case, not from the defaults before a shared link
+  clearHistory();
+  updateHistoryButtons();
   
   // Run narrow detection after initial setup
   detectNarrowScreen();
@@ -55,8 +141,8 @@ function init() {
 function switchView(view) {
   const isForced = document.body.classList.contains('force-table');
   
-  // If forced to table, ignore chart requests
-  if (isForced && view === 'chart') {
+  // If forced to table, ignore requests for the other views
+  if (isForced && view !== 'table') {
     return;
   }
 
@@ -64,45 +150,233 @@ function switchView(view) {
   setState({ view });
 }
 
+/* ---------- SHAREABLE URL ---------- */
+function restoreFromURL() {
+  if (!window.location.search) return;
+
+  const { inputs, selectedModel, view, rejected } = parseStateFromURL(window.location.search, VIEWS);
+  const status = $('#url-status');
+  if (status && rejected.length) {
+    const names = rejected.map(key => (key === 'model' || key === 'view' ? `the ${key}` : getFieldLabel(key)));
+    status.textContent = `Some values in this link could not be used, so the defaults were kept for: ${names.join(', ')}.`;
+  }
+
+  setState({ inputs, view });
+  syncInputFields(inputs);
+  selectModel(selectedModel);
+}
+
+// Keep the address bar in step so the current scenario can be copied
+function syncURL(s) {
+  const query = serializeState(s);
+  if (query === window.location.search.slice(1)) return;
+
+  const { pathname, hash } = window.location;
+  window.history.replaceState(null, '', `${pathname}${query ? `?${query}` : ''}${hash}`);
+}
+
 /* ---------- INPUTS ---------- */
 function setupInputs() {
-  const fields = ['D0', 'required', 'gConst', 'gShort', 'gLong', 'shortYears'];
-
-  fields.forEach(id => {
+  INPUT_FIELDS.forEach(id => {
     const el = $(`#${id}`);
     if (!el) return;
 
     const handler = debounce(() => {
       const raw = el.value.trim();
-      const val = raw === '' ? NaN : Number(raw);
+      const val = el.type === 'checkbox'
+        ? el.checked
+        : raw === '' ? NaN : Number(raw);
 
       // Always update inputs with current (possibly invalid) value
-      const candidate = { ...state.inputs, [id]: val };
+      commitInputs({ ...state.inputs, [id]: val });
+    }, 300);
+    inputHandlers.push(handler);
 
-      // Run full validation
-      const errors = validateAll(candidate);
+    listen(el, 'input', handler);
+    listen(el, 'change', handler);
+    listen(el, 'blur', handler);
+  });
+}
 
-      // Update error UI for ALL fields
-      fields.forEach(f => {
-        updateFieldError(f, errors[f]);
-      });
+function commitInputs(candidate) {
+  // Run full validation
+  const errors = validateAll(candidate);
 
-      // Update validation summary
-      updateValidationSummary(errors);
+  // Update error UI for ALL fields (including the schedule grid)
+  [...INPUT_FIELDS, 'customDividends'].forEach(f => {
+    updateFieldError(f, errors[f]);
+  });
 
-      // ALWAYS save inputs and errors
-      setState({ inputs: candidate, errors });
+  // Update validation summary
+  updateValidationSummary(errors);
 
-      // Only calculate if no errors
-      if (!hasErrors(errors)) {
-        updateCalculations();
-      }
-    }, 300);
+  // ALWAYS save inputs and errors
+  setState({ inputs: candidate, errors });
+  markSimulationStale();
+  updateGrowthDerivation();
+  updateCapmDerivation();
 
-    listen(el, 'input', handler);
-    listen(el, 'change', handler);
-    listen(el, 'blur', handler);
+  // Only calculate if no errors
+  if (!hasErrors(errors)) {
+    updateCalculations();
+  }
+}
+
+// Write input values back into the Data Entry fields
+function syncInputFields(inputs) {
+  INPUT_FIELDS.forEach(id => {
+    const el = $(`#${id}`);
+    if (!el) return;
+    if (el.type === 'checkbox') {
+      el.checked = !!inputs[id];
+    } else {
+      el.value = isFinite(inputs[id]) ? inputs[id] : '';
+    }
+  });
+  renderScheduleEditor(inputs.customDividends);
+}
+
+/* ---------- CUSTOM SCHEDULE ---------- */
+function setupScheduleEditor() {
+  const body = $('#schedule-body');
+  if (!body) return;
+
+  renderScheduleEditor(state.inputs.customDividends);
+
+  const handler = debounce(() => {
+    commitInputs({ ...state.inputs, customDividends: readScheduleEditor() });
+  }, 300);
+  inputHandlers.push(handler);
+  listen(body, 'input', handler);
+
+  listen(body, 'click', (e) => {
+    const btn = e.target.closest('.schedule-remove-btn');
+    if (!btn) return;
+    const customDividends = readScheduleEditor().filter((_, i) => i !== Number(btn.dataset.index));
+    renderScheduleEditor(customDividends);
+    commitInputs({ ...state.inputs, customDividends });
+  });
+
+  listen($('#schedule-add-btn'), 'click', () => {
+    const current = readScheduleEditor();
+    const last = current[current.length - 1];
+    const customDividends = [...current, isFinite(last) ? last : state.inputs.D0];
+    renderScheduleEditor(customDividends);
+    commitInputs({ ...state.inputs, customDividends });
+
+    const inputs = document.querySelectorAll('#schedule-body .schedule-input');
+    inputs[inputs.length - 1].focus();
+  });
+}
+
+/* ---------- GROWTH BUILDER ---------- */
+function setupGrowthBuilder() {
+  const payoutEl = $('#payout');
+  const retentionEl = $('#retention');
+
+  // Retention and payout mirror each other; payout is the stored input
+  const handler = debounce(() => {
+    const raw = retentionEl.value.trim();
+    const payout = raw === '' ? NaN : 100 - Number(raw);
+    payoutEl.value = isFinite(payout) ? round(payout) : '';
+    commitInputs({ ...state.inputs, payout });
+  }, 300);
+  inputHandlers.push(handler);
+  listen(retentionEl, 'input', handler);
+
+  listen($('#growth-apply-btn'), 'click', () => {
+    const { roe, payout } = state.inputs;
+    const g = calculateSustainableGrowth(roe / 100, payout / 100) * 100;
+    if (!isFinite(g)) {
+      updateGrowthDerivation();
+      return;
+    }
+
+    const target = $('#growthTarget').value;
+    const targets = target === 'both' ? ['gConst', 'gLong'] : [target];
+    const candidate = { ...state.inputs };
+    targets.forEach(key => { candidate[key] = round(g); });
+
+    syncInputFields(candidate);
+    commitInputs(candidate);
+  });
+
+  updateGrowthDerivation();
+}
+
+function updateGrowthDerivation() {
+  const output = $('#growth-derivation');
+  const retentionEl = $('#retention');
+  if (!output) return;
+
+  const { roe, payout, required } = state.inputs;
+  const retention = 100 - payout;
+  if (retentionEl && document.activeElement !== retentionEl) {
+    retentionEl.value = isFinite(retention) ? round(retention) : '';
+  }
+
+  // The builder is optional: its problems are shown here rather than blocking the valuation
+  if (!isFinite(roe) || !isFinite(payout)) {
+    const missingPayout = isFinite(roe);
+    output.textContent = missingPayout
+      ? 'Enter a payout or retention ratio to derive g = b × ROE.'
+      : 'Enter ROE and a payout (or retention) ratio to derive g = b × ROE.';
+    output.classList.toggle('is-invalid', missingPayout);
+    return;
+  }
+
+  const g = calculateSustainableGrowth(roe / 100, payout / 100) * 100;
+  const breaks = g >= required;
+  output.textContent = `g = b × ROE = (1 − ${round(payout)}%) × ${round(roe)}% = `
+    + `${(retention / 100).toFixed(3)} × ${round(roe)}% = ${g.toFixed(2)}%`
+    + (breaks ? ` – not below the required return of ${required}%, so g < r is broken` : '');
+  output.classList.toggle('is-invalid', breaks);
+}
+
+/* ---------- CAPM BUILDER ---------- */
+function setupCapmBuilder() {
+  listen($('#capm-apply-btn'), 'click', () => {
+    const { riskFree, beta, erp, sizePremium } = state.inputs;
+    const r = calculateCapmRequired(riskFree, beta, erp, sizePremium);
+    // Out-of-range results stay in the builder rather than becoming a Data Entry error
+    if (!isFinite(r) || validateField('required', round(r))) {
+      updateCapmDerivation();
+      return;
+    }
+
+    // validateAll re-checks gConst/gLong against the new required return
+    const candidate = { ...state.inputs, required: round(r) };
+    syncInputFields(candidate);
+    commitInputs(candidate);
   });
+
+  updateCapmDerivation();
+}
+
+function updateCapmDerivation() {
+  const output = $('#capm-derivation');
+  if (!output) return;
+
+  // The builder is optional: its problems are shown here rather than blocking the valuation
+  const { riskFree, beta, erp, sizePremium } = state.inputs;
+  const parts = [riskFree, beta, erp];
+  if (!parts.every(isFinite)) {
+    output.textContent = 'Enter the risk-free rate, beta and equity risk premium to build r.';
+    output.classList.toggle('is-invalid', parts.some(isFinite));
+    return;
+  }
+
+  const r = calculateCapmRequired(riskFree, beta, erp, sizePremium);
+  const rangeError = validateField('required', round(r));
+  const premium = isFinite(sizePremium) ? ` + ${round(sizePremium)}%` : '';
+  output.textContent = `r = r_f + β × ERP${isFinite(sizePremium) ? ' + premium' : ''} = `
+    + `${round(riskFree)}% + ${round(beta)} × ${round(erp)}%${premium} = ${r.toFixed(2)}%`
+    + (rangeError ? ` – ${rangeError}, so it cannot be applied` : '');
+  output.classList.toggle('is-invalid', !!rangeError);
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
 }
 
 /* ---------- CALCULATIONS ---------- */
@@ -114,15 +388,9 @@ function updateCalculations() {
   }
 
   try {
-    const calculations = calculateAllModels({
-      D0: inputs.D0,
-      required: inputs.required / 100,
-      gConst: inputs.gConst / 100,
-      gShort: inputs.gShort / 100,
-      gLong: inputs.gLong / 100,
-      shortYears: inputs.shortYears,
-    });
-    setState({ calculations });
+    const params = toModelParams(inputs);
+    const calculations = calculateAllModels(params);
+    setState({ calculations, calculationParams: params });
   } catch (e) {
     console.error(e);
     setState({ calculations: null });
@@ -135,7 +403,10 @@ function setupModelSelector() {
     { id: 'model-all-btn', model: 'all' },
     { id: 'model-constant-btn', model: 'constant' },
     { id: 'model-growth-btn', model: 'growth' },
-    { id: 'model-changing-btn', model: 'changing' }
+    { id: 'model-changing-btn', model: 'changing' },
+    { id: 'model-threestage-btn', model: 'threestage' },
+    { id: 'model-hmodel-btn', model: 'hmodel' },
+    { id: 'model-custom-btn', model: 'custom' }
   ];
 
   modelButtons.forEach(({ id, model }) => {
@@ -153,35 +424,196 @@ function selectModel(model) {
   setState({ selectedModel: model });
 }
 
+/* ---------- UNDO / REDO ---------- */
+function setupHistory() {
+  listen($('#undo-btn'), 'click', () => stepHistory(undo, 'Undid'));
+  listen($('#redo-btn'), 'click', () => stepHistory(redo, 'Redid'));
+
+  listen(document, 'keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    const isUndo = key === 'z' && !e.shiftKey;
+    const isRedo = (key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey);
+    if (!isUndo && !isRedo) return;
+
+    // Text boxes such as the scenario name keep the browser's own undo
+    if (e.target.matches('textarea, input[type="text"], input[type="search"]')) return;
+
+    e.preventDefault();
+    stepHistory(isUndo ? undo : redo, isUndo ? 'Undid' : 'Redid');
+  });
+}
+
+function stepHistory(step, verb) {
+  // Commit edits still waiting on the debounce, so they are what gets undone
+  inputHandlers.forEach(handler => handler.flush());
+  if (!step()) return;
+
+  // Put the restored case back into the fields, error messages and results
+  syncInputFields(state.inputs);
+  commitInputs({ ...state.inputs });
+  selectModel(state.selectedModel);
+
+  const announcement = $('#history-announcement');
+  if (announcement) announcement.textContent = `${verb} the last change.`;
+}
+
+function updateHistoryButtons() {
+  const undoBtn = $('#undo-btn');
+  const redoBtn = $('#redo-btn');
+  if (undoBtn) undoBtn.disabled = !canUndo();
+  if (redoBtn) redoBtn.disabled = !canRedo();
+}
+
 /* ---------- VIEW TOGGLE ---------- */
 function setupViewToggle() {
-  const chartBtn = $('#view-chart-btn');
-  const tableBtn = $('#view-table-btn');
-
-  listen(chartBtn, 'click', () => switchView('chart'));
-  listen(tableBtn, 'click', () => switchView('table'));
+  VIEWS.forEach(view => {
+    listen($(`#view-${view}-btn`), 'click', () => switchView(view));
+  });
 
   updateButtonStates();
 }
 
 function updateButtonStates() {
-  const chartBtn = $('#view-chart-btn');
-  const tableBtn = $('#view-table-btn');
   const isForced = document.body.classList.contains('force-table');
   const currentView = isForced ? 'table' : state.view;
 
-  if (!chartBtn || !tableBtn) return;
+  VIEWS.forEach(view => {
+    const btn = $(`#view-${view}-btn`);
+    if (!btn) return;
+
+    // Update active state and aria-pressed
+    btn.classList.toggle('active', currentView === view);
+    btn.setAttribute('aria-pressed', currentView === view);
 
-  // Update active states
-  chartBtn.classList.toggle('active', currentView === 'chart');
-  tableBtn.classList.toggle('active', currentView === 'table');
-  
-  // Update aria-pressed
-  chartBtn.setAttribute('aria-pressed', currentView === 'chart');
-  tableBtn.setAttribute('aria-pressed', currentView === 'table');
-  
-  // Disable chart button when forced to table
-  chartBtn.disabled = isForced;
+    // Only the table is available when forced to table
+    btn.disabled = isForced && view !== 'table';
+  });
+}
+
+/* ---------- CHART MODE ---------- */
+function setupChartModeToggle() {
+  ['nominal', 'discounted'].forEach(mode => {
+    listen($(`#chart-mode-${mode}-btn`), 'click', () => setState({ chartMode: mode }));
+  });
+}
+
+function updateChartModeButtons() {
+  ['nominal', 'discounted'].forEach(mode => {
+    const btn = $(`#chart-mode-${mode}-btn`);
+    if (!btn) return;
+    btn.classList.toggle('active', state.chartMode === mode);
+    btn.setAttribute('aria-pressed', state.chartMode === mode);
+  });
+}
+
+/* ---------- SENSITIVITY RANGES ---------- */
+function setupSensitivityControls() {
+  const fields = ['rMin', 'rMax', 'rStep', 'gMin', 'gMax', 'gStep'];
+
+  fields.forEach(key => {
+    const el = $(`#sens-${key}`);
+    if (!el) return;
+
+    const handler = debounce(() => {
+      const raw = el.value.trim();
+      const val = raw === '' ? NaN : Number(raw);
+      setState({ sensitivity: { ...state.sensitivity, [key]: val } });
+    }, 300);
+
+    listen(el, 'input', handler);
+    listen(el, 'change', handler);
+  });
+}
+
+/* ---------- SIMULATION ---------- */
+function setupSimulationControls() {
+  const handler = debounce(readSimulationSettings, 300);
+
+  document.querySelectorAll('#simulation-controls input, #simulation-controls select').forEach(el => {
+    listen(el, 'input', handler);
+    listen(el, 'change', handler);
+  });
+
+  SIMULATED_INPUTS.forEach(key => {
+    updateDistributionFields(key, state.simulation.distributions[key].type);
+  });
+
+  listen($('#sim-run-btn'), 'click', () => {
+    // Pick up edits still waiting on the debounce
+    readSimulationSettings();
+    updateSimulation();
+  });
+}
+
+function readSimulationSettings() {
+  const readNumber = (el) => {
+    const raw = el.value.trim();
+    return raw === '' ? NaN : Number(raw);
+  };
+
+  const distributions = {};
+  SIMULATED_INPUTS.forEach(key => {
+    distributions[key] = {
+      type: $(`#sim-${key}-type`).value,
+      sd: readNumber($(`#sim-${key}-sd`)),
+      min: readNumber($(`#sim-${key}-min`)),
+      max: readNumber($(`#sim-${key}-max`)),
+    };
+    updateDistributionFields(key, distributions[key].type);
+  });
+
+  setState({
+    simulation: {
+      ...state.simulation,
+      trials: readNumber($('#sim-trials')),
+      seed: readNumber($('#sim-seed')),
+      distributions,
+    },
+  });
+}
+
+// Enable only the parameters the chosen distribution uses
+function updateDistributionFields(key, type) {
+  $(`#sim-${key}-sd`).disabled = type !== 'normal';
+  $(`#sim-${key}-min`).disabled = type !== 'uniform' && type !== 'triangular';
+  $(`#sim-${key}-max`).disabled = type !== 'uniform' && type !== 'triangular';
+}
+
+function updateSimulation() {
+  const { simulation, inputs } = state;
+  const errors = validateSimulation(simulation, inputs);
+  const status = $('#simulation-status');
+
+  document.querySelectorAll('#simulation-controls input').forEach(el => {
+    updateFieldError(el.id, errors[el.id]);
+  });
+
+  if (hasErrors(errors) || hasErrors(state.errors)) {
+    if (status) {
+      status.textContent = hasErrors(errors)
+        ? Object.values(errors).join('. ')
+        : 'Correct the data entry errors before running the simulation.';
+    }
+    return;
+  }
+
+  const results = runSimulation(inputs, simulation.distributions, {
+    trials: simulation.trials,
+    seed: simulation.seed,
+  });
+  if (status) {
+    status.textContent = `Ran ${simulation.trials} trials with seed ${simulation.seed}.`;
+  }
+  setState({ simulation: { ...simulation, results } });
+}
+
+// Large runs take seconds, so an edit flags the last run instead of repeating it
+function markSimulationStale() {
+  const status = $('#simulation-status');
+  if (status && state.simulation.results) {
+    status.textContent = 'The inputs have changed since the last run. Press Run simulation to update the results.';
+  }
 }
 
 /* ---------- NARROW SCREEN ---------- */
@@ -231,7 +663,7 @@ function detectNarrowScreen() {
       if (chartContainer) chartContainer.style.display = 'block';
       if (tableContainer) tableContainer.style.display = 'none';
       if (state.calculations) {
-        renderChart(state.calculations, state.selectedModel);
+        renderChart(state.calculations, state.selectedModel, state.chartMode);
       }
     } else {
       if (chartContainer) chartContainer.style.display = 'none';
@@ -246,37 +678,356 @@ function detectNarrowScreen() {
   }
 }
 
-/* ---------- UPDATE ALL ---------- */
-function updateAll(s) {
+/* ---------- RENDERING ---------- */
+// Each part of the page re-renders only when the state it reads changes
+function subscribeRenderers() {
+  subscribe(s => [s.calculations, s.selectedModel, activeComparison(s)], updateResults);
+  subscribe(s => [s.calculations, s.selectedModel, activeComparison(s)], updateTable);
+  subscribe(s => [s.simulation, s.selectedModel], s => renderSimulationTable(s.simulation, s.selectedModel));
+  subscribe(s => [actualView(s), s.calculations, s.chartMode, activeComparison(s)], updateContainers);
+  subscribe(s => [actualView(s), s.calculations, s.selectedModel, s.chartMode, activeComparison(s)], updateChart);
+  subscribe(s => [actualView(s), s.inputs, s.selectedModel, s.sensitivity], updateSensitivityView);
+  subscribe(s => [actualView(s), s.simulation, s.selectedModel], updateSimulationView);
+  subscribe(s => [actualView(s), s.batch, s.inputs], updateBatchView);
+}
+
+// Scenario comparison replaces the single-scenario results, table and chart
+function activeComparison(s) {
+  return s.comparison.enabled ? s.comparisonResults : null;
+}
+
+function actualView(s) {
+  return document.body.classList.contains('force-table') ? 'table' : s.view;
+}
+
+function updateResults(s) {
   if (!s.calculations) return;
 
-  renderResults(s.calculations, s.selectedModel);
-  
-  const isForced = document.body.classList.contains('force-table');
-  const actualView = isForced ? 'table' : s.view;
+  const comparison = activeComparison(s);
+  // Copies cover the current case, not a comparison
+  $('#valuation-copy').style.display = comparison ? 'none' : '';
+  if (comparison) {
+    renderComparisonResults(comparison, s.selectedModel);
+  } else {
+    // Invalid edits leave the last calculations in place, so show their working
+    renderResults(s.calculations, s.selectedModel, s.calculationParams);
+  }
+}
 
-  const chartContainer = $('#chart-container');
-  const tableContainer = $('#table-container');
-  
-  if (!chartContainer || !tableContainer) return;
+// Always rendered, as the forced and optional table view both need it
+function updateTable(s) {
+  if (!s.calculations) return;
 
-  // Always render table first (needed for forced and optional table view)
-  renderTable(s.calculations, s.selectedModel);
-  
-  // Show/hide containers based on actual view
-  if (actualView === 'chart' && !isForced) {
-    chartContainer.style.display = 'block';
-    tableContainer.style.display = 'none';
-    renderChart(s.calculations, s.selectedModel);
+  const comparison = activeComparison(s);
+  // Exports cover the current case, not a comparison
+  $('#table-export').style.display = comparison ? 'none' : '';
+  if (comparison) {
+    renderComparisonTable(comparison, s.selectedModel);
   } else {
-    // Table view or forced table
-    chartContainer.style.display = 'none';
-    tableContainer.style.display = 'block';
-    destroyChart(); // Ensure chart is destroyed
+    renderTable(s.calculations, s.selectedModel);
   }
-  
+}
+
+function updateContainers(s) {
+  if (!s.calculations) return;
+
+  const view = actualView(s);
+  const containers = VIEWS.map(v => $(`#${v}-container`));
+  if (containers.some(el => !el)) return;
+
+  // Show/hide containers based on actual view
+  VIEWS.forEach((v, i) => {
+    containers[i].style.display = view === v ? 'block' : 'none';
+  });
+
   // Update button states
   updateButtonStates();
+  updateChartModeButtons();
+  $('.chart-mode-controls').style.display = activeComparison(s) ? 'none' : '';
+}
+
+function updateChart(s) {
+  if (!s.calculations) return;
+
+  const comparison = activeComparison(s);
+  if (actualView(s) !== 'chart') {
+    destroyChart();
+  } else if (comparison) {
+    renderComparisonChart(comparison, s.selectedModel);
+  } else {
+    renderChart(s.calculations, s.selectedModel, s.chartMode);
+  }
+}
+
+function updateSensitivityView(s) {
+  if (s.calculations && actualView(s) === 'sensitivity') {
+    renderSensitivity(s.inputs, s.selectedModel, s.sensitivity);
+  }
+}
+
+function updateSimulationView(s) {
+  if (!s.calculations) return;
+
+  if (actualView(s) === 'simulation') {
+    renderSimulation(s.simulation, s.selectedModel);
+  } else {
+    destroyHistogram();
+  }
+}
+
+function updateBatchView(s) {
+  if (s.calculations && actualView(s) === 'batch') {
+    renderBatch(s.batch, s.inputs);
+  }
+}
+
+/* ---------- BATCH ---------- */
+function setupBatchControls() {
+  const fileInput = $('#batch-file');
+  const status = $('#batch-status');
+  if (!fileInput) return;
+
+  listen(fileInput, 'change', async () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+
+    const { records, error } = parseBatchCSV(await file.text(), state.inputs);
+    if (status) status.textContent = error || `Loaded ${records.length} companies from ${file.name}.`;
+    setState({
+      batch: { ...state.batch, fileName: file.name, records: error ? null : records },
+    });
+  });
+
+  // Sort buttons are re-rendered with the grid, so delegate from the table
+  listen($('#batch-table'), 'click', (e) => {
+    const btn = e.target.closest('.batch-sort-btn');
+    if (!btn) return;
+    const sortKey = btn.dataset.sort;
+    const { batch } = state;
+    const sortDir = batch.sortKey === sortKey && batch.sortDir === 'ascending' ? 'descending' : 'ascending';
+    setState({ batch: { ...batch, sortKey, sortDir } });
+    // The grid is redrawn when subscribers run, after this handler
+    queueMicrotask(() => focusElement(`#batch-table .batch-sort-btn[data-sort="${sortKey}"]`));
+  });
+
+  listen($('#batch-download-btn'), 'click', () => downloadBatchCSV(state.batch, state.inputs));
+}
+
+/* ---------- EXPORTS ---------- */
+// While inputs are invalid the page still shows older results; exports must not pair them
+function resultsMatchInputs() {
+  return !!state.calculations && !hasErrors(state.errors);
+}
+
+function setupTableExport() {
+  listen($('#table-csv-btn'), 'click', () => {
+    if (resultsMatchInputs()) downloadTableCSV(state.inputs, state.calculations, state.selectedModel);
+  });
+  listen($('#table-xls-btn'), 'click', () => {
+    if (resultsMatchInputs()) downloadTableWorkbook(state.inputs, state.calculations, state.selectedModel);
+  });
+}
+
+function setupChartExport() {
+  // A comparison chart is drawn from saved scenarios, not the Data Entry inputs
+  const canExport = () => !!activeComparison(state) || resultsMatchInputs();
+
+  listen($('#chart-png-btn'), 'click', () => {
+    if (canExport()) exportChartPNG(Number($('#chart-export-scale').value), state.inputs);
+  });
+  listen($('#chart-svg-btn'), 'click', () => {
+    if (canExport()) exportChartSVG(state.inputs);
+  });
+}
+
+function setupReport() {
+  const status = $('#report-status');
+
+  listen($('#report-btn'), 'click', () => {
+    if (!resultsMatchInputs()) {
+      if (status) status.textContent = 'Correct the data entry errors before generating a report.';
+      return;
+    }
+    const opened = openReport(state);
+    if (status) {
+      status.textContent = opened
+        ? 'Report opened in a new tab.'
+        : 'Pop-ups are blocked, so the report was downloaded instead.';
+    }
+  });
+}
+
+const COPY_FORMAT_NAMES = {
+  markdown: 'a Markdown table',
+  tsv: 'tab-separated values',
+  text: 'plain text'
+};
+
+function setupCopyButtons() {
+  const formatters = { valuation: formatValuation, schedule: formatSchedule };
+  const statuses = { valuation: $('#valuation-copy-status'), schedule: $('#schedule-copy-status') };
+
+  document.querySelectorAll('[data-copy]').forEach(btn => {
+    const { copy: what, format } = btn.dataset;
+    const status = statuses[what];
+    const report = (message) => {
+      if (status) status.textContent = message;
+    };
+
+    listen(btn, 'click', () => {
+      if (!resultsMatchInputs()) {
+        report('Correct the data entry errors before copying.');
+        return;
+      }
+      // Cleared first so a repeated copy is announced again
+      report('');
+      copyText(formatters[what](state.calculations, state.selectedModel, format)).then(
+        () => report(`Copied the ${what} as ${COPY_FORMAT_NAMES[format]}.`),
+        () => report('Copying was blocked by the browser. Use the download buttons instead.')
+      );
+    });
+  });
+}
+
+/* ---------- SCENARIOS ---------- */
+function setupScenarioManager() {
+  const list = $('#scenario-list');
+  const nameInput = $('#scenario-name');
+  const status = $('#scenario-status');
+  if (!list) return;
+
+  setState({ scenarios: loadScenarios() });
+  renderScenarioList(state.scenarios, state.comparison.ids);
+
+  const report = (message) => {
+    if (status) status.textContent = message;
+  };
+
+  // Storage can be disabled or full; keep the list unchanged if so
+  const persist = (scenarios, message) => {
+    try {
+      saveScenarios(scenarios);
+    } catch (e) {
+      report('Could not save: browser storage is unavailable or full.');
+      return;
+    }
+    // Deleted scenarios drop out of the comparison
+    const ids = state.comparison.ids.filter(id => scenarios.some(s => s.id === id));
+    setState({ scenarios, comparison: { ...state.comparison, ids } });
+    renderScenarioList(scenarios, ids);
+    report(message);
+    updateComparison();
+  };
+
+  listen($('#scenario-save-btn'), 'click', () => {
+    const name = nameInput.value.trim();
+    if (!name) {
+      report('Enter a name for the scenario.');
+      nameInput.focus();
+      return;
+    }
+    const exists = state.scenarios.some(s => s.name === name);
+    persist(
+      upsertScenario(state.scenarios, name, state.inputs, state.selectedModel),
+      exists ? `Updated “${name}”.` : `Saved “${name}”.`
+    );
+  });
+
+  listen(list, 'click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const scenario = state.scenarios.find(s => s.id === btn.closest('.scenario-item').dataset.id);
+    if (!scenario) return;
+
+    switch (btn.dataset.action) {
+      case 'load': {
+        const inputs = structuredClone(scenario.inputs);
+        syncInputFields(inputs);
+        commitInputs(inputs);
+        selectModel(scenario.selectedModel);
+        nameInput.value = scenario.name;
+        report(`Loaded “${scenario.name}”.`);
+        break;
+      }
+      case 'rename': {
+        const name = (window.prompt('Rename scenario', scenario.name) || '').trim();
+        if (!name || name === scenario.name) return;
+        if (state.scenarios.some(s => s.name === name)) {
+          report(`A scenario named “${name}” already exists.`);
+          return;
+        }
+        persist(renameScenario(state.scenarios, scenario.id, name), `Renamed to “${name}”.`);
+        break;
+      }
+      case 'duplicate':
+        persist(duplicateScenario(state.scenarios, scenario.id), `Duplicated “${scenario.name}”.`);
+        break;
+      case 'delete':
+        if (!window.confirm(`Delete the scenario “${scenario.name}”?`)) return;
+        persist(deleteScenario(state.scenarios, scenario.id), `Deleted “${scenario.name}”.`);
+        nameInput.focus();
+        break;
+    }
+  });
+
+  // Ticking a scenario adds it to the end of the comparison
+  listen(list, 'change', (e) => {
+    if (e.target.dataset.action !== 'compare') return;
+    const { id } = e.target.closest('.scenario-item').dataset;
+    const others = state.comparison.ids.filter(other => other !== id);
+    const ids = e.target.checked ? [...others, id] : others;
+    setState({ comparison: { ...state.comparison, ids } });
+    updateComparison();
+  });
+
+  listen($('#compare-toggle'), 'change', (e) => {
+    setState({ comparison: { ...state.comparison, enabled: e.target.checked } });
+    updateComparison();
+  });
+
+  listen($('#scenario-export-btn'), 'click', () => {
+    if (!state.scenarios.length) {
+      report('There are no saved scenarios to export.');
+      return;
+    }
+    downloadFile('ddm-scenarios.json', exportScenarios(state.scenarios), 'application/json');
+  });
+
+  const importInput = $('#scenario-import-file');
+  listen(importInput, 'change', async () => {
+    const file = importInput.files[0];
+    if (!file) return;
+    const result = importScenarios(state.scenarios, await file.text());
+    importInput.value = '';
+    if (result.error) {
+      report(result.error);
+      return;
+    }
+    const skipped = result.skipped ? ` ${result.skipped} invalid scenario(s) skipped.` : '';
+    persist(result.scenarios, `Imported ${result.imported} scenario(s) from ${file.name}.${skipped}`);
+  });
+}
+
+function updateComparison() {
+  const { comparison, scenarios } = state;
+  const status = $('#scenario-status');
+
+  if (!comparison.enabled) {
+    setState({ comparisonResults: null });
+    return;
+  }
+
+  const ticked = comparison.ids.map(id => scenarios.find(s => s.id === id)).filter(Boolean);
+  const valid = ticked.filter(s => !hasErrors(validateAll(s.inputs)));
+  const skipped = ticked.filter(s => !valid.includes(s)).map(s => `“${s.name}”`);
+
+  if (status) {
+    if (!ticked.length) status.textContent = 'Tick the scenarios to compare.';
+    else if (skipped.length) status.textContent = `Not compared (invalid inputs): ${skipped.join(', ')}.`;
+    else status.textContent = `Comparing ${valid.map(s => s.name).join(', ')}.`;
+  }
+
+  setState({ comparisonResults: valid.length ? calculateScenarios(valid) : null });
 }
 
 /* ---------- START ---------- */
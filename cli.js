@@ -0,0 +1,250 @@
+#!/usr/bin/env -S node --experimental-detect-module
+/**
+ * cli.js – Headless dividend discount valuations
+ * Runs the same calculation and validation modules as the page.
+ *
+ *   ./cli.js --D0 2.5 --required 9 --gConst 4
+ *   ./cli.js --input inputs.json --model growth --cash-flows --format csv
+ */
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { state } from './modules/state.js';
+import {
+  MODEL_KEYS,
+  calculateAllModels,
+  getModelMetadata,
+  getPeriodLabel,
+  toModelParams,
+} from './modules/calculations.js';
+import { validateAll } from './modules/validation.js';
+import { toCSV, toTextTable } from './modules/utils.js';
+
+const FORMATS = ['table', 'json', 'csv'];
+
+// Every key of state.inputs can be given as --<key>; defaults come from the page
+const DEFAULT_INPUTS = state.inputs;
+const INPUT_OPTIONS = Object.fromEntries(
+  Object.entries(DEFAULT_INPUTS).map(([key, value]) => [
+    key,
+    { type: typeof value === 'boolean' ? 'boolean' : 'string' }
+  ])
+);
+
+const USAGE = `Usage: cli.js [options]
+
+Inputs (rates in percent, as on the page):
+  --input <file>           JSON object of inputs; flags override it
+  --<name> <value>         Any input, e.g. --D0 5 --required 10 --gConst 5
+  --customDividends <list> Comma-separated dividends for the custom model
+  --includeTerminal        Add the horizon value of the stock as a cash flow
+
+Output:
+  --model <key|all>        ${MODEL_KEYS.join(', ')} or all (default all)
+  --format <format>        ${FORMATS.join(', ')} (default table)
+  --cash-flows             Include the cash flows of each model
+  -h, --help               Show this help
+
+Input names: ${Object.keys(DEFAULT_INPUTS).join(', ')}
+`;
+
+/* ---------- ARGUMENTS ---------- */
+function parseCommandLine(argv) {
+  const { values } = parseArgs({
+    args: joinNegativeValues(argv),
+    options: {
+      ...INPUT_OPTIONS,
+      input: { type: 'string' },
+      model: { type: 'string', default: 'all' },
+      format: { type: 'string', default: 'table' },
+      'cash-flows': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    },
+    strict: true
+  });
+
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(`Unknown format "${values.format}" (use ${FORMATS.join(', ')})`);
+  }
+  if (values.model !== 'all' && !MODEL_KEYS.includes(values.model)) {
+    throw new Error(`Unknown model "${values.model}" (use ${MODEL_KEYS.join(', ')} or all)`);
+  }
+  return values;
+}
+
+/**
+ * parseArgs takes "-5" in "--gShort -5" for an option, so a negative number
+ * after an input flag is joined to it as "--gShort=-5"
+ */
+function joinNegativeValues(argv) {
+  const args = [];
+  for (let i = 0; i < argv.length; i++) {
+    const option = argv[i].startsWith('--') && INPUT_OPTIONS[argv[i].slice(2)];
+    if (option && option.type === 'string' && /^-\.?\d/.test(argv[i + 1] || '')) {
+      args.push(`${argv[i]}=${argv[i + 1]}`);
+      i++;
+    } else {
+      args.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+/**
+ * Merge defaults, the JSON file and flags into a state.inputs-shaped object
+ */
+function buildInputs(values) {
+  const inputs = { ...DEFAULT_INPUTS };
+
+  if (values.input) {
+    const file = JSON.parse(readFileSync(values.input, 'utf8'));
+    Object.keys(DEFAULT_INPUTS).forEach(key => {
+      if (key in file) inputs[key] = coerce(key, file[key]);
+    });
+  }
+
+  Object.keys(DEFAULT_INPUTS).forEach(key => {
+    if (values[key] !== undefined) inputs[key] = coerce(key, values[key]);
+  });
+
+  return inputs;
+}
+
+function coerce(key, value) {
+  const fallback = DEFAULT_INPUTS[key];
+  if (typeof fallback === 'boolean') return value === true || value === 'true';
+  if (Array.isArray(fallback)) {
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(toNumber);
+  }
+  return toNumber(value);
+}
+
+function toNumber(value) {
+  if (value === null || String(value).trim() === '') return NaN;
+  return Number(value);
+}
+
+/* ---------- OUTPUT ---------- */
+function summaryRows(calculations, modelKeys) {
+  return modelKeys.map(key => {
+    const result = calculations[key];
+    return {
+      model: key,
+      name: getModelMetadata(key).name,
+      price: result.price,
+      pvDividends: result.pvDividends,
+      pvTerminal: result.pvTerminal
+    };
+  });
+}
+
+function cashFlowRows(result) {
+  return result.cashFlows.map(cf => ({
+    period: getPeriodLabel(cf, true),
+    year: cf.year,
+    dividend: cf.dividend,
+    discountFactor: cf.discountFactor,
+    pv: cf.pv,
+    cumulativePV: cf.cumulativePV,
+    terminal: cf.terminal
+  }));
+}
+
+function formatJSON(inputs, calculations, modelKeys, withCashFlows) {
+  const models = {};
+  summaryRows(calculations, modelKeys).forEach(row => {
+    models[row.model] = { ...row };
+    delete models[row.model].model;
+    if (withCashFlows) models[row.model].cashFlows = cashFlowRows(calculations[row.model]);
+  });
+  // JSON.stringify writes NaN and Infinity as null
+  return JSON.stringify({ inputs, models }, null, 2);
+}
+
+function formatCSV(calculations, modelKeys, withCashFlows) {
+  if (!withCashFlows) {
+    const header = ['model', 'name', 'price', 'pvDividends', 'pvTerminal'];
+    return toCSV([header, ...summaryRows(calculations, modelKeys).map(row => header.map(h => row[h]))]);
+  }
+
+  const header = ['model', 'period', 'year', 'dividend', 'discountFactor', 'pv', 'cumulativePV', 'terminal'];
+  const rows = modelKeys.flatMap(key => cashFlowRows(calculations[key]).map(row => [
+    key,
+    ...header.slice(1).map(h => row[h])
+  ]));
+  return toCSV([header, ...rows]);
+}
+
+function formatTable(calculations, modelKeys, withCashFlows) {
+  const sections = [
+    toTextTable(
+      ['Model', 'Price', 'PV of Dividends', 'PV of Terminal'],
+      summaryRows(calculations, modelKeys).map(row => [
+        row.name, money(row.price), money(row.pvDividends), money(row.pvTerminal)
+      ])
+    )
+  ];
+
+  if (withCashFlows) {
+    modelKeys.forEach(key => {
+      const result = calculations[key];
+      if (!isFinite(result.price)) return;
+      sections.push(`${getModelMetadata(key).name}\n` + toTextTable(
+        ['Period', 'Dividend', 'Discount Factor', 'PV', 'Cumulative PV'],
+        cashFlowRows(result).map(row => [
+          row.period,
+          money(row.dividend),
+          isFinite(row.discountFactor) ? row.discountFactor.toFixed(4) : '—',
+          money(row.pv),
+          money(row.cumulativePV)
+        ])
+      ));
+    });
+  }
+
+  return sections.join('\n\n');
+}
+
+function money(amount) {
+  return isFinite(amount) ? amount.toFixed(2) : '—';
+}
+
+/* ---------- MAIN ---------- */
+function main(argv) {
+  let values;
+  let inputs;
+  try {
+    values = parseCommandLine(argv);
+    if (values.help) {
+      process.stdout.write(USAGE);
+      return 0;
+    }
+    inputs = buildInputs(values);
+  } catch (err) {
+    process.stderr.write(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const errors = validateAll(inputs);
+  if (Object.keys(errors).length) {
+    Object.entries(errors).forEach(([field, msg]) => {
+      process.stderr.write(`--${field}: ${msg}\n`);
+    });
+    return 1;
+  }
+
+  const calculations = calculateAllModels(toModelParams(inputs));
+  const modelKeys = values.model === 'all' ? MODEL_KEYS : [values.model];
+  const withCashFlows = values['cash-flows'];
+
+  const output = {
+    table: () => formatTable(calculations, modelKeys, withCashFlows),
+    json: () => formatJSON(inputs, calculations, modelKeys, withCashFlows),
+    csv: () => formatCSV(calculations, modelKeys, withCashFlows)
+  }[values.format]();
+
+  process.stdout.write(`${output}\n`);
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,178 @@
+/**
+ * batch.js – Value a CSV of companies with every model
+ * Each row is merged over the Data Entry inputs, validated and priced.
+ */
+import { $, escapeHTML, parseCSV, toCSV, downloadFile } from './utils.js';
+import { MODEL_KEYS, calculateAllModels, getModelMetadata, toModelParams } from './calculations.js';
+import { validateAll } from './validation.js';
+
+/**
+ * Columns every batch file must have (besides name)
+ */
+export const BATCH_COLUMNS = ['D0', 'required', 'gConst', 'gShort', 'gLong', 'shortYears'];
+
+/**
+ * Models shown per company – the custom schedule is one company's own
+ * forecast, so it and its inputs are left out of the batch
+ */
+const BATCH_MODELS = MODEL_KEYS.filter(key => key !== 'custom');
+const CUSTOM_INPUTS = ['customDividends', 'gTerminal'];
+
+const MAX_BATCH_ROWS = 500;
+
+/**
+ * Parse a batch CSV into records
+ * Header names match state.inputs keys (case-insensitive); other numeric
+ * inputs such as transitionYears may be given as extra columns.
+ * @param {string} text - CSV file contents
+ * @param {Object} baseInputs - state.inputs, used to recognise extra columns
+ * @returns {Object} { records } or { error } for an unusable file
+ */
+export function parseBatchCSV(text, baseInputs) {
+  const [header, ...rows] = parseCSV(text.replace(/^\uFEFF/, ''));
+  if (!header) return { error: 'The file is empty.' };
+
+  const numericKeys = Object.keys(baseInputs).filter(key => typeof baseInputs[key] === 'number');
+  const byLowerCase = Object.fromEntries(numericKeys.map(key => [key.toLowerCase(), key]));
+  const columns = header.map(cell => {
+    const name = cell.trim().toLowerCase();
+    return name === 'name' ? 'name' : byLowerCase[name] || null;
+  });
+
+  const missing = ['name', ...BATCH_COLUMNS].filter(col => !columns.includes(col));
+  if (missing.length) return { error: `Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}.` };
+  if (!rows.length) return { error: 'The file has a header but no companies.' };
+  if (rows.length > MAX_BATCH_ROWS) return { error: `Batch files are limited to ${MAX_BATCH_ROWS} companies.` };
+
+  const records = rows.map((cells, i) => {
+    const record = { line: i + 2, name: '', values: {} };
+    columns.forEach((col, j) => {
+      const raw = (cells[j] ?? '').trim();
+      if (col === 'name') record.name = raw;
+      else if (col) record.values[col] = raw === '' ? NaN : Number(raw);
+    });
+    return record;
+  });
+
+  return { records };
+}
+
+/**
+ * Validate and price every record
+ * @param {Object[]} records - From parseBatchCSV
+ * @param {Object} baseInputs - state.inputs supplying columns the file omits
+ * @returns {Object[]} Rows of { line, name, inputs, errors, prices }
+ */
+export function runBatch(records, baseInputs) {
+  return records.map(record => {
+    // Comparison inputs are per company, so only use them when the file has them
+    const inputs = { ...baseInputs, marketPrice: NaN, eps: NaN, bvps: NaN, ...record.values };
+    const errors = validateAll(inputs);
+    CUSTOM_INPUTS.forEach(key => { delete errors[key]; });
+    const prices = {};
+    if (!Object.keys(errors).length) {
+      const results = calculateAllModels(toModelParams(inputs));
+      BATCH_MODELS.forEach(key => { prices[key] = results[key].price; });
+    }
+    return { line: record.line, name: record.name || `Row ${record.line}`, inputs, errors, prices };
+  });
+}
+
+/**
+ * Sort rows by name or a model price; rows without a price go last
+ */
+export function sortBatch(rows, sortKey, sortDir) {
+  const sign = sortDir === 'descending' ? -1 : 1;
+  return [...rows].sort((a, b) => {
+    if (sortKey === 'name') return sign * a.name.localeCompare(b.name, undefined, { numeric: true });
+    const pa = a.prices[sortKey];
+    const pb = b.prices[sortKey];
+    const validA = isFinite(pa);
+    const validB = isFinite(pb);
+    if (validA !== validB) return validA ? -1 : 1;
+    return validA ? sign * (pa - pb) : a.line - b.line;
+  });
+}
+
+/**
+ * Render the results grid into #batch-table
+ * @param {Object} batch - state.batch
+ * @param {Object} baseInputs - state.inputs
+ */
+export function renderBatch(batch, baseInputs) {
+  const table = $('#batch-table');
+  const download = $('#batch-download-btn');
+  if (!table) return;
+
+  if (!batch.records) {
+    table.innerHTML = '';
+    if (download) download.hidden = true;
+    return;
+  }
+
+  const rows = sortBatch(runBatch(batch.records, baseInputs), batch.sortKey, batch.sortDir);
+  const invalid = rows.filter(row => Object.keys(row.errors).length).length;
+
+  let html = `
+    <caption>${escapeHTML(batch.fileName)}: ${rows.length} companies${invalid ? `, ${invalid} with errors` : ''}</caption>
+    <thead>
+      <tr>
+        ${sortableHeader('name', 'Company', batch, 'text-left')}
+  `;
+  BATCH_MODELS.forEach(key => {
+    html += sortableHeader(key, getModelMetadata(key).label, batch, 'text-right');
+  });
+  html += `<th scope="col" class="text-left">Errors</th></tr></thead><tbody>`;
+
+  rows.forEach(row => {
+    const messages = Object.values(row.errors);
+    html += `<tr${messages.length ? ' class="batch-invalid"' : ''}>
+      <th scope="row" class="text-left">${escapeHTML(row.name)}</th>`;
+    BATCH_MODELS.forEach(key => {
+      html += `<td class="text-right" data-label="${getModelMetadata(key).label}">${formatCurrency(row.prices[key])}</td>`;
+    });
+    html += `<td class="text-left batch-errors" data-label="Errors">${
+      messages.length ? `Line ${row.line}: ${messages.map(escapeHTML).join('; ')}` : ''
+    }</td></tr>`;
+  });
+
+  html += `</tbody>`;
+  table.innerHTML = html;
+  if (download) download.hidden = false;
+}
+
+/**
+ * Download the sorted grid, inputs included, as CSV
+ */
+export function downloadBatchCSV(batch, baseInputs) {
+  const rows = sortBatch(runBatch(batch.records, baseInputs), batch.sortKey, batch.sortDir);
+  const header = ['name', ...BATCH_COLUMNS, ...BATCH_MODELS.map(key => `${getModelMetadata(key).label} price`), 'errors'];
+  const body = rows.map(row => [
+    row.name,
+    ...BATCH_COLUMNS.map(col => row.inputs[col]),
+    ...BATCH_MODELS.map(key => row.prices[key]),
+    Object.values(row.errors).join('; ')
+  ]);
+  const base = batch.fileName.replace(/\.csv$/i, '') || 'batch';
+  downloadFile(`${base}-valuations.csv`, toCSV([header, ...body]), 'text/csv');
+}
+
+function sortableHeader(key, label, batch, align) {
+  const active = batch.sortKey === key;
+  const ariaSort = active ? ` aria-sort="${batch.sortDir}"` : '';
+  const arrow = active ? (batch.sortDir === 'ascending' ? ' ▲' : ' ▼') : '';
+  return `<th scope="col" class="${align}"${ariaSort}>
+    <button type="button" class="batch-sort-btn" data-sort="${key}">${label}<span aria-hidden="true">${arrow}</span></button>
+  </th>`;
+}
+
+function formatCurrency(amount) {
+  if (!isFinite(amount)) return '—';
+
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(amount);
+}
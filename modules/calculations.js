@@ -2,17 +2,90 @@
  * calculations.js Dividend Discount Model Calculations
  * All functions are pure and exported for calculator.js
  */
+import { findRoot } from './solver.js';
 
-const HORIZON_YEARS = 10;
+const DEFAULT_HORIZON_YEARS = 10;
+
+/**
+ * Model keys in display order
+ */
+export const MODEL_KEYS = ['constant', 'growth', 'changing', 'threestage', 'hmodel', 'custom'];
+
+/**
+ * Growth input that must stay below r for each model (null = none)
+ */
+export const GROWTH_PARAM = {
+  constant: null,
+  growth: 'gConst',
+  changing: 'gLong',
+  threestage: 'gLong',
+  hmodel: 'gLong',
+  custom: 'gTerminal'
+};
+
+/**
+ * Inputs each model reads, besides the shared horizon and payment frequency
+ */
+export const MODEL_INPUTS = {
+  constant: ['D0', 'required'],
+  growth: ['D0', 'required', 'gConst'],
+  changing: ['D0', 'required', 'gShort', 'gLong', 'shortYears'],
+  threestage: ['D0', 'required', 'gShort', 'gLong', 'shortYears', 'transitionYears'],
+  hmodel: ['D0', 'required', 'gShort', 'gLong', 'halfLife'],
+  custom: ['required', 'customDividends', 'gTerminal']
+};
+
+/**
+ * Payments per year and the label prefix of each sub-annual period
+ */
+export const FREQUENCIES = {
+  1: { name: 'Annual', prefix: '' },
+  2: { name: 'Semi-annual', prefix: 'H' },
+  4: { name: 'Quarterly', prefix: 'Q' },
+  12: { name: 'Monthly', prefix: 'M' }
+};
+
+/**
+ * Unit of each state.inputs value, for exports and reports
+ */
+export const INPUT_UNITS = {
+  D0: '$',
+  required: '%',
+  gConst: '%',
+  gShort: '%',
+  gLong: '%',
+  shortYears: 'years',
+  transitionYears: 'years',
+  halfLife: 'years',
+  customDividends: '$',
+  gTerminal: '%',
+  horizonYears: 'years',
+  includeTerminal: '',
+  frequency: 'per year',
+  holdingYears: 'years',
+  marketPrice: '$',
+  eps: '$',
+  bvps: '$',
+  roe: '%',
+  payout: '%',
+  riskFree: '%',
+  beta: '',
+  erp: '%',
+  sizePremium: '%'
+};
+
+// Search ceiling for implied rates (100% per year)
+const MAX_IMPLIED_RATE = 1;
+const RATE_EPSILON = 1e-7;
 
 /**
  * Constant Dividend Model (no growth)
  */
-function calculateConstantModel({ D0, required }) {
+function calculateConstantModel({ D0, required, horizonYears = DEFAULT_HORIZON_YEARS }) {
   if (required <= 0) return { price: NaN, cashFlows: [] };
   const price = D0 / required;
   const cashFlows = [{ year: 0, yearLabel: '0', dividend: -price }];
-  for (let y = 1; y <= HORIZON_YEARS; y++) {
+  for (let y = 1; y <= horizonYears; y++) {
     cashFlows.push({ year: y, yearLabel: y.toString(), dividend: D0 });
   }
   return { price, cashFlows };
@@ -21,12 +94,12 @@ function calculateConstantModel({ D0, required }) {
 /**
  * Constant Growth Model (Gordon)
  */
-function calculateGrowthModel({ D0, required, gConst }) {
+function calculateGrowthModel({ D0, required, gConst, horizonYears = DEFAULT_HORIZON_YEARS }) {
   if (gConst >= required || required <= 0) return { price: NaN, cashFlows: [] };
   const D1 = D0 * (1 + gConst);
   const price = D1 / (required - gConst);
   const cashFlows = [{ year: 0, yearLabel: '0', dividend: -price }];
-  for (let y = 1; y <= HORIZON_YEARS; y++) {
+  for (let y = 1; y <= horizonYears; y++) {
     cashFlows.push({
       year: y,
       yearLabel: y.toString(),
@@ -39,7 +112,9 @@ function calculateGrowthModel({ D0, required, gConst }) {
 /**
  * Two-Stage (Changing) Growth Model
  */
-function calculateChangingModel({ D0, required, gShort, gLong, shortYears }) {
+function calculateChangingModel({
+  D0, required, gShort, gLong, shortYears, horizonYears = DEFAULT_HORIZON_YEARS
+}) {
   if (gLong >= required || required <= 0 || gShort < 0 || gLong < 0) {
     return { price: NaN, cashFlows: [] };
   }
@@ -60,7 +135,7 @@ function calculateChangingModel({ D0, required, gShort, gLong, shortYears }) {
 
   // Cash flows
   const cashFlows = [{ year: 0, yearLabel: '0', dividend: -price }];
-  for (let y = 1; y <= HORIZON_YEARS; y++) {
+  for (let y = 1; y <= horizonYears; y++) {
     const div = y <= shortYears
       ? D0 * Math.pow(1 + gShort, y)
       : D0 * Math.pow(1 + gShort, shortYears) * Math.pow(1 + gLong, y - shortYears);
@@ -71,43 +146,483 @@ function calculateChangingModel({ D0, required, gShort, gLong, shortYears }) {
 }
 
 /**
- * Calculate all three models
- * @param {Object} params - All input parameters
- * @returns {Object} All three model results
+ * Three-Stage Growth Model
+ * High growth for N1 years, linear fade over N2 years, then gLong forever
+ */
+function calculateThreeStageModel({
+  D0, required, gShort, gLong, shortYears, transitionYears, horizonYears = DEFAULT_HORIZON_YEARS
+}) {
+  if (gLong >= required || required <= 0 || transitionYears < 1) {
+    return { price: NaN, cashFlows: [] };
+  }
+
+  const fadeEnd = shortYears + transitionYears;
+  const growthAt = (t) => {
+    if (t <= shortYears) return gShort;
+    if (t <= fadeEnd) {
+      return gShort - (gShort - gLong) * (t - shortYears) / (transitionYears + 1);
+    }
+    return gLong;
+  };
+
+  // PV of stage 1 (high growth) and stage 2 (transition) dividends
+  let pvHigh = 0;
+  let pvTransition = 0;
+  let div = D0;
+  for (let t = 1; t <= fadeEnd; t++) {
+    div *= 1 + growthAt(t);
+    const pv = div / Math.pow(1 + required, t);
+    if (t <= shortYears) pvHigh += pv;
+    else pvTransition += pv;
+  }
+
+  // Stage 3 – terminal value at the end of the transition
+  const terminal = div * (1 + gLong) / (required - gLong);
+  const pvTerminal = terminal / Math.pow(1 + required, fadeEnd);
+
+  const price = pvHigh + pvTransition + pvTerminal;
+
+  // Cash flows
+  const cashFlows = [{ year: 0, yearLabel: '0', dividend: -price }];
+  div = D0;
+  for (let y = 1; y <= horizonYears; y++) {
+    div *= 1 + growthAt(y);
+    cashFlows.push({ year: y, yearLabel: y.toString(), dividend: div });
+  }
+
+  return {
+    price,
+    cashFlows,
+    stages: { high: pvHigh, transition: pvTransition, terminal: pvTerminal }
+  };
+}
+
+/**
+ * H-Model (Fuller–Hsia)
+ * Growth declines linearly from gShort to gLong over 2H years
+ */
+function calculateHModel({
+  D0, required, gShort, gLong, halfLife, horizonYears = DEFAULT_HORIZON_YEARS
+}) {
+  if (gLong >= required || required <= 0 || halfLife <= 0) {
+    return { price: NaN, cashFlows: [] };
+  }
+
+  // Stable-growth value plus the premium for above-normal growth
+  const price = (D0 * (1 + gLong) + D0 * halfLife * (gShort - gLong)) / (required - gLong);
+
+  // Cash flows – growth fades linearly until year 2H, then gLong
+  const fadeYears = 2 * halfLife;
+  const cashFlows = [{ year: 0, yearLabel: '0', dividend: -price }];
+  let div = D0;
+  for (let y = 1; y <= horizonYears; y++) {
+    const g = y <= fadeYears
+      ? gShort - (gShort - gLong) * (y - 1) / fadeYears
+      : gLong;
+    div *= 1 + g;
+    cashFlows.push({ year: y, yearLabel: y.toString(), dividend: div });
+  }
+
+  return { price, cashFlows };
+}
+
+/**
+ * Custom Schedule Model
+ * Explicit year-by-year dividends, then constant growth gTerminal forever
+ */
+function calculateCustomModel({
+  required, customDividends, gTerminal, horizonYears = DEFAULT_HORIZON_YEARS
+}) {
+  const schedule = customDividends || [];
+  if (!schedule.length || gTerminal >= required || required <= 0) {
+    return { price: NaN, cashFlows: [] };
+  }
+
+  // PV of the explicit forecast
+  const n = schedule.length;
+  let pvSchedule = 0;
+  schedule.forEach((div, i) => {
+    pvSchedule += div / Math.pow(1 + required, i + 1);
+  });
+
+  // Terminal value – growth from the last forecast dividend
+  const lastDiv = schedule[n - 1];
+  const terminal = lastDiv * (1 + gTerminal) / (required - gTerminal);
+  const pvTerminal = terminal / Math.pow(1 + required, n);
+
+  const price = pvSchedule + pvTerminal;
+
+  // Cash flows
+  const cashFlows = [{ year: 0, yearLabel: '0', dividend: -price }];
+  for (let y = 1; y <= horizonYears; y++) {
+    const div = y <= n
+      ? schedule[y - 1]
+      : lastDiv * Math.pow(1 + gTerminal, y - n);
+    cashFlows.push({ year: y, yearLabel: y.toString(), dividend: div });
+  }
+
+  return { price, cashFlows };
+}
+
+/**
+ * Model pricing functions keyed by model
+ */
+const MODEL_FUNCTIONS = {
+  constant: calculateConstantModel,
+  growth: calculateGrowthModel,
+  changing: calculateChangingModel,
+  threestage: calculateThreeStageModel,
+  hmodel: calculateHModel,
+  custom: calculateCustomModel
+};
+
+/**
+ * Convert annual parameters to per-period equivalents
+ * Rates become effective periodic rates, D₀ is split evenly across the
+ * payments of a year and all year counts are expressed in periods.
+ */
+function toPeriodicParams(params) {
+  const m = params.frequency || 1;
+  if (m === 1) return params;
+
+  const periodic = (rate) => Math.pow(1 + rate, 1 / m) - 1;
+  return {
+    ...params,
+    D0: params.D0 / m,
+    required: periodic(params.required),
+    gConst: periodic(params.gConst),
+    gShort: periodic(params.gShort),
+    gLong: periodic(params.gLong),
+    gTerminal: periodic(params.gTerminal),
+    // Each forecast year's dividend is paid in m equal instalments
+    customDividends: (params.customDividends || []).flatMap(div => new Array(m).fill(div / m)),
+    shortYears: params.shortYears * m,
+    transitionYears: params.transitionYears * m,
+    halfLife: params.halfLife * m,
+    horizonYears: (params.horizonYears || DEFAULT_HORIZON_YEARS) * m
+  };
+}
+
+/**
+ * Re-express cash flow timing in years with labels such as 'Y2 Q3'
+ * (the model functions count in periods)
+ */
+function labelPeriods(cashFlows, m) {
+  const { prefix } = FREQUENCIES[m] || FREQUENCIES[1];
+  cashFlows.forEach(cf => {
+    const period = cf.year;
+    cf.period = period;
+    if (m === 1) return;
+    cf.year = period / m;
+    cf.yearLabel = period === 0
+      ? '0'
+      : `Y${Math.ceil(period / m)} ${prefix}${(period - 1) % m + 1}`;
+  });
+}
+
+/**
+ * Run one model at the chosen payment frequency
+ */
+function runModel(modelKey, params) {
+  const result = MODEL_FUNCTIONS[modelKey](toPeriodicParams(params));
+  labelPeriods(result.cashFlows, params.frequency || 1);
+  return result;
+}
+
+/**
+ * Solve for the required return that equates model price and market price
+ */
+function solveImpliedRequired(modelKey, params, marketPrice) {
+  const growthParam = GROWTH_PARAM[modelKey];
+  const lo = Math.max(0, growthParam ? params[growthParam] : 0) + RATE_EPSILON;
+  const priceGap = (r) => runModel(modelKey, { ...params, required: r }).price - marketPrice;
+  return findRoot(priceGap, lo, MAX_IMPLIED_RATE);
+}
+
+/**
+ * Solve for the constant growth rate that equates Gordon price and market price
+ */
+function solveImpliedGrowth(params, marketPrice) {
+  const hi = params.required - RATE_EPSILON;
+  const priceGap = (g) => runModel('growth', { ...params, gConst: g }).price - marketPrice;
+  return findRoot(priceGap, -0.99, hi);
+}
+
+/**
+ * Compare a model price with the market price
+ * @returns {Object} Market price, over/undervaluation and implied rates
+ */
+function compareToMarket(modelKey, params, price) {
+  const { marketPrice } = params;
+  return {
+    price: marketPrice,
+    // Positive = market trades below intrinsic value (undervalued)
+    mispricing: (price - marketPrice) / marketPrice,
+    impliedRequired: solveImpliedRequired(modelKey, params, marketPrice),
+    impliedGrowth: modelKey === 'growth' ? solveImpliedGrowth(params, marketPrice) : NaN
+  };
+}
+
+/**
+ * Discount each cash flow and split the price into the PV of the horizon
+ * dividends and the PV of everything after the horizon (terminal value)
+ */
+function addPresentValues(result, required) {
+  const { price, cashFlows } = result;
+  if (!isFinite(price)) return;
+
+  let cumulative = 0;
+  cashFlows.forEach(cf => {
+    cf.discountFactor = 1 / Math.pow(1 + required, cf.year);
+    cf.pv = cf.dividend * cf.discountFactor;
+    if (cf.year > 0) {
+      cumulative += cf.pv;
+      cf.cumulativePV = cumulative;
+    }
+  });
+
+  result.pvDividends = cumulative;
+  result.pvTerminal = price - cumulative;
+  result.terminalShare = result.pvTerminal / price;
+
+  // Model-implied price after each payment: value of the remaining dividends
+  cashFlows.forEach(cf => {
+    cf.expectedPrice = cf.year === 0 ? price : (price - cf.cumulativePV) / cf.discountFactor;
+  });
+}
+
+/**
+ * Holding-period return for a buyer at P₀ who sells at the model price P_n
+ */
+function calculateHoldingPeriod(result, holdingYears) {
+  const { price, cashFlows } = result;
+  const exit = cashFlows.find(cf => cf.year === holdingYears);
+  if (!isFinite(price) || !exit) return null;
+
+  const dividends = cashFlows
+    .filter(cf => cf.year > 0 && cf.year <= holdingYears)
+    .reduce((sum, cf) => sum + cf.dividend, 0);
+  const dividendYield = dividends / price;
+  const capitalGainYield = (exit.expectedPrice - price) / price;
+
+  return {
+    years: holdingYears,
+    expectedPrice: exit.expectedPrice,
+    dividends,
+    dividendYield,
+    capitalGainYield,
+    totalReturn: dividendYield + capitalGainYield
+  };
+}
+
+/**
+ * Add the value of the stock at the horizon as a cash flow in the last year
+ * P_N = PV(terminal) × (1 + r)^N, so the discounted stream
+ * (dividends + terminal value) sums exactly to the model price.
+ */
+function addTerminalValue(result) {
+  const { cashFlows, pvTerminal } = result;
+  if (!isFinite(pvTerminal) || cashFlows.length < 2) return;
+
+  const last = cashFlows[cashFlows.length - 1];
+  last.terminal = pvTerminal / last.discountFactor;
+  last.pvTerminal = pvTerminal;
+}
+
+/**
+ * Justified multiples implied by a model price
+ * Leading earnings assume a constant payout, so E₁ = E₀ × D₁ ÷ D₀, which
+ * gives payout ÷ (r − g) for the Gordon model.
+ */
+function calculateMultiples(result, { D0, eps, bvps }) {
+  const { price, cashFlows } = result;
+  if (!isFinite(price)) return null;
+
+  const nextYearDividends = cashFlows
+    .filter(cf => cf.year > 0 && cf.year <= 1)
+    .reduce((sum, cf) => sum + cf.dividend, 0);
+  const hasEps = eps > 0;
+
+  return {
+    payout: hasEps ? D0 / eps : NaN,
+    trailingPE: hasEps ? price / eps : NaN,
+    leadingPE: hasEps && nextYearDividends > 0 ? price / (eps * nextYearDividends / D0) : NaN,
+    priceToBook: bvps > 0 ? price / bvps : NaN
+  };
+}
+
+/**
+ * Calculate all models
+ * @param {Object} params - All input parameters (rates as decimals)
+ * @returns {Object} Results keyed by model
  */
 export function calculateAllModels(params) {
-  const { D0, required, gConst, gShort, gLong, shortYears } = params;
+  const results = {};
+  MODEL_KEYS.forEach(modelKey => {
+    const result = runModel(modelKey, params);
+    addPresentValues(result, params.required);
+    if (params.frequency > 1) {
+      result.annualPrice = MODEL_FUNCTIONS[modelKey]({ ...params, frequency: 1 }).price;
+    }
+    if (params.includeTerminal) {
+      addTerminalValue(result);
+    }
+    if (params.holdingYears > 0) {
+      result.holding = calculateHoldingPeriod(result, params.holdingYears);
+    }
+    if (params.eps > 0 || params.bvps > 0) {
+      result.multiples = calculateMultiples(result, params);
+    }
+    if (params.marketPrice > 0) {
+      result.market = compareToMarket(modelKey, params, result.price);
+    }
+    results[modelKey] = result;
+  });
+  return results;
+}
+
+/**
+ * Run every model for several named input sets
+ * @param {Object[]} scenarios - { id, name, inputs } with inputs shaped like state.inputs
+ * @returns {Object[]} { id, name, calculations } in the same order
+ */
+export function calculateScenarios(scenarios) {
+  return scenarios.map(({ id, name, inputs }) => ({
+    id,
+    name,
+    calculations: calculateAllModels(toModelParams(inputs))
+  }));
+}
+
+/**
+ * Convert UI inputs (rates in percent) into model parameters (decimals)
+ * @param {Object} inputs - state.inputs
+ * @returns {Object} Parameters for the model functions
+ */
+export function toModelParams(inputs) {
   return {
-    constant: calculateConstantModel({ D0, required }),
-    growth: calculateGrowthModel({ D0, required, gConst }),
-    changing: calculateChangingModel({ D0, required, gShort, gLong, shortYears })
+    ...inputs,
+    required: inputs.required / 100,
+    gConst: inputs.gConst / 100,
+    gShort: inputs.gShort / 100,
+    gLong: inputs.gLong / 100,
+    gTerminal: inputs.gTerminal / 100
   };
 }
 
+/**
+ * Sustainable growth rate g = b × ROE, with retention b = 1 − payout
+ * @param {number} roe - Return on equity (decimal)
+ * @param {number} payout - Dividend payout ratio (decimal)
+ * @returns {number} Growth rate (decimal)
+ */
+export function calculateSustainableGrowth(roe, payout) {
+  return (1 - payout) * roe;
+}
+
+/**
+ * CAPM required return r = r_f + β × ERP (+ size/specific-risk premium)
+ * @param {number} riskFree - Risk-free rate (decimal)
+ * @param {number} beta - Equity beta
+ * @param {number} erp - Equity risk premium (decimal)
+ * @param {number} premium - Optional additional premium (decimal)
+ * @returns {number} Required return (decimal)
+ */
+export function calculateCapmRequired(riskFree, beta, erp, premium = 0) {
+  return riskFree + beta * erp + (isFinite(premium) ? premium : 0);
+}
+
+/**
+ * Price grid over required return (columns) and growth (rows)
+ * @param {Object} params - Base model parameters (decimals)
+ * @param {string} modelKey - Model with a growth input (see GROWTH_PARAM)
+ * @param {number[]} requiredValues - Required returns (decimals)
+ * @param {number[]} growthValues - Growth rates (decimals)
+ * @returns {Object} Grid rows of { required, growth, price, valid }
+ */
+export function calculateSensitivityGrid(params, modelKey, requiredValues, growthValues) {
+  const growthParam = GROWTH_PARAM[modelKey];
+  const rows = growthValues.map(growth => requiredValues.map(required => {
+    const { price } = runModel(modelKey, { ...params, required, [growthParam]: growth });
+    return { required, growth, price, valid: growth < required && isFinite(price) };
+  }));
+  return { modelKey, growthParam, requiredValues, growthValues, rows };
+}
+
+/**
+ * Annual dividends D₁…D_years for one model (ignores payment frequency)
+ * @param {string} modelKey - Model identifier
+ * @param {Object} params - Model parameters (decimals)
+ * @param {number} years - Number of years to project
+ * @returns {number[]} Dividends in year order
+ */
+export function getAnnualDividends(modelKey, params, years) {
+  const { cashFlows } = MODEL_FUNCTIONS[modelKey]({ ...params, horizonYears: years });
+  return cashFlows.slice(1).map(cf => cf.dividend);
+}
+
+/**
+ * Display label for a cash flow period
+ * @param {Object} cf - Cash flow entry
+ * @param {boolean} long - 'Year 3' rather than 'Yr 3'
+ * @returns {string} Label such as 'Initial', 'Yr 3' or 'Y2 Q3'
+ */
+export function getPeriodLabel(cf, long = false) {
+  if (cf.year === 0) return 'Initial';
+  if (cf.period !== cf.year) return cf.yearLabel;
+  return long ? `Year ${cf.yearLabel}` : `Yr ${cf.yearLabel}`;
+}
+
 /**
  * Get model metadata
+ * `name` is the full title; `label` the shorter one used in tables, charts
+ * and exports.
  * @param {string} modelKey - Model identifier
- * @returns {Object} Model metadata
+ * @returns {Object} { name, label, color, description, formula }
  */
 export function getModelMetadata(modelKey) {
   const metadata = {
     constant: {
       name: 'Constant Dividend Model',
+      label: 'Constant Dividend',
       color: '#3c6ae5',
       description: 'Assumes dividends remain constant forever',
       formula: 'P = D₀ ÷ r'
     },
     growth: {
       name: 'Constant Growth Model',
+      label: 'Constant Growth',
       color: '#15803d',
       description: 'Assumes constant dividend growth rate forever',
       formula: 'P = D₁ ÷ (r − g)'
     },
     changing: {
       name: 'Changing Growth Model',
+      label: 'Two-Stage Growth',
       color: '#7a46ff',
       description: 'High growth initially, then sustainable growth forever',
       formula: 'P = PV(high growth) + PV(terminal)'
+    },
+    threestage: {
+      name: 'Three-Stage Growth Model',
+      label: 'Three-Stage Growth',
+      color: '#38337b',
+      description: 'High growth, a linear transition, then sustainable growth forever',
+      formula: 'P = PV(high) + PV(transition) + PV(terminal)'
+    },
+    hmodel: {
+      name: 'H-Model',
+      label: 'H-Model',
+      color: '#0079a6',
+      description: 'Growth declines linearly to the long-run rate over 2H years',
+      formula: 'P = [D₀(1 + gL) + D₀H(gS − gL)] ÷ (r − gL)'
+    },
+    custom: {
+      name: 'Custom Schedule Model',
+      label: 'Custom Schedule',
+      color: '#50037f',
+      description: 'Explicit dividend forecasts, then constant terminal growth forever',
+      formula: 'P = Σ Dₜ ÷ (1 + r)ᵗ + PV(terminal)'
     }
   };
   return metadata[modelKey] || null;
@@ -2,20 +2,38 @@
  * chart.js – Dividend Cash Flow Chart with Keyboard Accessibility
  * Adapted from bond calculator pattern
  */
-import { $ } from './utils.js';
+import { $, downloadFile, escapeHTML } from './utils.js';
+import {
+  MODEL_KEYS,
+  MODEL_INPUTS,
+  INPUT_UNITS,
+  FREQUENCIES,
+  getModelMetadata,
+  getPeriodLabel
+} from './calculations.js';
+import { getFieldLabel } from './validation.js';
 
-const MODEL_COLORS = {
-  constant: '#3c6ae5',
-  growth: '#15803d',
-  changing: '#7a46ff',
-  darkText: '#06005a'
+const DARK_TEXT = '#06005a';
+
+// Bar series per model: nominal only, or nominal (faded) beside PV
+const CHART_SERIES = {
+  nominal: [
+    { suffix: '', value: 'dividend', terminal: 'terminal', alpha: '', terminalAlpha: '66' }
+  ],
+  discounted: [
+    { suffix: ' (nominal)', value: 'dividend', terminal: 'terminal', alpha: '59', terminalAlpha: '26' },
+    { suffix: ' (PV)', value: 'pv', terminal: 'pvTerminal', alpha: '', terminalAlpha: '66' }
+  ]
 };
 
 let chartInstance = null;
+let chartKind = null;           // 'cashflows' | 'comparison' – which renderer drew chartInstance
+let shown = null;               // Data behind the chart, read by its callbacks and exports
 let currentFocusIndex = 0;
 let isKeyboardMode = false;
+let currentChartMode = 'nominal';
 
-export function renderChart(calculations, selectedModel) {
+export function renderChart(calculations, selectedModel, chartMode = 'nominal') {
   const canvas = $('#chart');
   if (!canvas) return;
 
@@ -28,58 +46,169 @@ export function renderChart(calculations, selectedModel) {
     'Interactive chart. Press Enter to focus, then use arrow keys to explore data points.'
   );
 
-  const ctx = canvas.getContext('2d');
+  currentChartMode = chartMode;
 
   // Determine which models to display
   const modelsToShow = selectedModel === 'all' 
-    ? ['constant', 'growth', 'changing']
+    ? MODEL_KEYS
     : [selectedModel];
+
+  const figure = cashFlowChartData(calculations, modelsToShow, chartMode);
+  if (!figure) return;
+  const { cashFlows, labels, datasets, hasTerminal, hasPricePath } = figure;
+
+  shown = { calculations, selectedModel, modelsToShow, cashFlows };
+
+  // Update the existing chart in place so edits animate rather than flash
+  if (chartInstance && chartKind === 'cashflows') {
+    const { options } = chartInstance;
+    chartInstance.data.labels = labels;
+    chartInstance.data.datasets = updateDatasets(chartInstance.data.datasets, datasets);
+    options.plugins.legend.display = datasets.length > 1;
+    options.scales.x.stacked = hasTerminal;
+    options.scales.y.stacked = hasTerminal;
+    options.scales.y.title.text = yAxisTitle(chartMode);
+    options.scales.price.display = hasPricePath;
+    currentFocusIndex = Math.min(currentFocusIndex, cashFlows.length - 1);
+    chartInstance.update();
+  } else {
+    destroyChart();
+    currentFocusIndex = 0;
+    chartInstance = createCashFlowChart(canvas, { ...figure, chartMode });
+    chartKind = 'cashflows';
+  }
   
+  // Add keyboard navigation
+  setupKeyboardNavigation(canvas, cashFlows.length, index => (
+    announceDataPoint(shown.cashFlows[index], shown.calculations, shown.selectedModel, shown.modelsToShow)
+  ));
+}
+
+/**
+ * Draw the cash flow chart off screen, e.g. as a static figure in the report
+ * @param {Object} calculations - Model results
+ * @param {string} selectedModel - Model key or 'all'
+ * @param {string} chartMode - 'nominal' | 'discounted'
+ * @returns {string|null} PNG data URL, or null when there is nothing to draw
+ */
+export function renderChartImage(calculations, selectedModel, chartMode = 'nominal', width = 900, height = 450) {
+  const modelsToShow = selectedModel === 'all' ? MODEL_KEYS : [selectedModel];
+  const figure = cashFlowChartData(calculations, modelsToShow, chartMode);
+  if (!figure) return null;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const chart = createCashFlowChart(canvas, { ...figure, chartMode }, true);
+  const image = chart.toBase64Image('image/png');
+  chart.destroy();
+  return image;
+}
+
+/**
+ * Labels and datasets of the cash flow chart
+ * @returns {Object|null} { cashFlows, labels, datasets, hasTerminal, hasPricePath }
+ */
+function cashFlowChartData(calculations, modelsToShow, chartMode) {
   // Get data from first model (they all have same years)
   const firstModel = calculations[modelsToShow[0]];
   if (!firstModel || !firstModel.cashFlows || firstModel.cashFlows.length === 0) {
-    return;
+    return null;
   }
   
   const cashFlows = firstModel.cashFlows;
-  const labels = cashFlows.map(cf => cf.yearLabel === '0' ? 'Initial' : `Yr ${cf.yearLabel}`);
+  const labels = cashFlows.map(cf => getPeriodLabel(cf));
   
+  // Terminal value bars are stacked on the last year of each model
+  const hasTerminal = modelsToShow.some(modelKey =>
+    calculations[modelKey].cashFlows.some(cf => cf.terminal)
+  );
+
   // Build datasets for selected models
-  const datasets = modelsToShow.map(modelKey => {
+  const datasets = [];
+  modelsToShow.forEach(modelKey => {
     const modelData = calculations[modelKey];
-    const modelName = {
-      constant: 'Constant',
-      growth: 'Growth',
-      changing: 'Two-Stage'
-    }[modelKey];
-    
-    return {
-      label: modelName,
-      data: modelData.cashFlows.map(cf => cf.dividend),
-      backgroundColor: MODEL_COLORS[modelKey],
-      borderColor: '#333',
-      borderWidth: 1
-    };
+    const { label: modelName, color } = getModelMetadata(modelKey);
+
+    CHART_SERIES[chartMode].forEach(series => {
+      const stack = `${modelKey}${series.suffix}`;
+
+      datasets.push({
+        label: `${modelName}${series.suffix}`,
+        data: modelData.cashFlows.map(cf => cf[series.value]),
+        backgroundColor: `${color}${series.alpha}`,
+        borderColor: '#333',
+        borderWidth: 1,
+        stack
+      });
+
+      if (hasTerminal) {
+        datasets.push({
+          label: `${modelName} terminal value${series.suffix}`,
+          data: modelData.cashFlows.map(cf => cf[series.terminal] || 0),
+          backgroundColor: `${color}${series.terminalAlpha}`,
+          borderColor: '#333',
+          borderWidth: 1,
+          stack,
+          isTerminal: true
+        });
+      }
+    });
   });
 
-  // Destroy existing chart instance
-  if (chartInstance) {
-    chartInstance.destroy();
-  }
-  
-  // Reset focus index
-  currentFocusIndex = 0;
+  // Holding-period mode: model-implied price path on a secondary axis
+  const hasPricePath = modelsToShow.some(modelKey => calculations[modelKey].holding);
+  modelsToShow.forEach(modelKey => {
+    const holding = calculations[modelKey].holding;
+    if (!holding) return;
+
+    const { label, color } = getModelMetadata(modelKey);
+    datasets.push({
+      type: 'line',
+      label: `${label} expected price`,
+      data: calculations[modelKey].cashFlows.map(cf => (
+        cf.year <= holding.years ? cf.expectedPrice : null
+      )),
+      borderColor: color,
+      backgroundColor: color,
+      borderWidth: 2,
+      borderDash: [6, 3],
+      pointRadius: 3,
+      yAxisID: 'price',
+      order: -1
+    });
+  });
+
+  return { cashFlows, labels, datasets, hasTerminal, hasPricePath };
+}
+
+/**
+ * Keep the dataset objects Chart.js is tracking, so bars move to their new values
+ */
+function updateDatasets(current, next) {
+  return next.map((dataset, i) => (
+    current[i] && current[i].label === dataset.label ? Object.assign(current[i], dataset) : dataset
+  ));
+}
+
+function yAxisTitle(chartMode) {
+  return chartMode === 'discounted' ? 'Nominal vs. Present Value ($)' : 'Cash Flow ($)';
+}
 
-  // Create chart
-  chartInstance = new Chart(ctx, {
+/**
+ * @param {boolean} snapshot - Fixed size, no animation, at print resolution
+ */
+function createCashFlowChart(canvas, { labels, datasets, hasTerminal, hasPricePath, chartMode }, snapshot = false) {
+  return new Chart(canvas.getContext('2d'), {
     type: 'bar',
     data: {
       labels: labels,
       datasets: datasets
     },
     options: {
-      responsive: true,
+      responsive: !snapshot,
       maintainAspectRatio: false,
+      ...(snapshot ? { animation: false, devicePixelRatio: 2 } : {}),
       interaction: {
         mode: 'index',
         intersect: false
@@ -91,19 +220,21 @@ export function renderChart(calculations, selectedModel) {
         // Announce hovered data point
         if (activeElements.length > 0) {
           const index = activeElements[0].index;
-          announceDataPoint(cashFlows[index], calculations, selectedModel, modelsToShow);
+          announceDataPoint(shown.cashFlows[index], shown.calculations, shown.selectedModel, shown.modelsToShow);
         }
       },
       plugins: {
         legend: {
-          display: modelsToShow.length > 1,
+          display: datasets.length > 1,
           position: 'top'
         },
         tooltip: {
+          // Hide empty terminal value segments and the price path beyond the sale
+          filter: (item) => item.raw !== null && (!item.dataset.isTerminal || item.raw !== 0),
           callbacks: {
             title: (context) => {
-              const index = context[0].dataIndex;
-              return cashFlows[index].year === 0 ? 'Initial Investment' : `Year ${cashFlows[index].year}`;
+              const cashFlow = shown.cashFlows[context[0].dataIndex];
+              return cashFlow.year === 0 ? 'Initial Investment' : getPeriodLabel(cashFlow, true);
             },
             label: (context) => {
               const value = context.parsed.y;
@@ -114,6 +245,7 @@ export function renderChart(calculations, selectedModel) {
       },
       scales: {
         x: {
+          stacked: hasTerminal,
           title: {
             display: true,
             text: 'Time Period'
@@ -123,9 +255,32 @@ export function renderChart(calculations, selectedModel) {
           }
         },
         y: {
+          stacked: hasTerminal,
           title: {
             display: true,
-            text: 'Cash Flow ($)'
+            text: yAxisTitle(chartMode)
+          },
+          ticks: {
+            callback: function(value) {
+              return new Intl.NumberFormat('en-US', {
+                style: 'currency',
+                currency: 'USD',
+                minimumFractionDigits: 0,
+                maximumFractionDigits: 0
+              }).format(value);
+            }
+          }
+        },
+        price: {
+          display: hasPricePath,
+          position: 'right',
+          beginAtZero: true,
+          title: {
+            display: true,
+            text: 'Expected Price ($)'
+          },
+          grid: {
+            drawOnChartArea: false
           },
           ticks: {
             callback: function(value) {
@@ -159,6 +314,7 @@ export function renderChart(calculations, selectedModel) {
           ctx.lineWidth = 1;
 
           chart.data.datasets.forEach((dataset, datasetIndex) => {
+            if (dataset.type === 'line') return;
             const meta = chart.getDatasetMeta(datasetIndex);
             meta.data.forEach((bar) => {
               const x = bar.x - bar.width / 2;
@@ -182,9 +338,9 @@ export function renderChart(calculations, selectedModel) {
           const ctx = chart.ctx;
           
           // Get all bars at the focused index
-  const allBars = chart.data.datasets
-  .map((_, i) => chart.getDatasetMeta(i).data[currentFocusIndex])
-  .filter(Boolean);
+          const allBars = chart.data.datasets
+            .map((dataset, i) => (dataset.type === 'line' ? null : chart.getDatasetMeta(i).data[currentFocusIndex]))
+            .filter(Boolean);
           
           if (allBars.length === 0) return;
           
@@ -197,7 +353,7 @@ export function renderChart(calculations, selectedModel) {
           
           // Draw focus indicator
           ctx.save();
-          ctx.strokeStyle = MODEL_COLORS.darkText;
+          ctx.strokeStyle = DARK_TEXT;
           ctx.lineWidth = 3;
           ctx.setLineDash([5, 5]);
           
@@ -210,7 +366,7 @@ export function renderChart(calculations, selectedModel) {
           
           // Add filled background for better visibility
           ctx.globalAlpha = 0.1;
-          ctx.fillStyle = MODEL_COLORS.darkText;
+          ctx.fillStyle = DARK_TEXT;
           ctx.fillRect(x, y, width, height);
           
           ctx.restore();
@@ -218,24 +374,125 @@ export function renderChart(calculations, selectedModel) {
       }
     ]
   });
-  
-  // Add keyboard navigation
-  setupKeyboardNavigation(canvas, cashFlows, calculations, selectedModel, modelsToShow);
+}
+
+/**
+ * Scenario comparison: one group of bars (model prices) per scenario
+ * @param {Object[]} comparison - { name, calculations } per scenario
+ * @param {string} selectedModel - Model key or 'all'
+ */
+export function renderComparisonChart(comparison, selectedModel) {
+  const canvas = $('#chart');
+  if (!canvas || !comparison.length) return;
+
+  canvas.setAttribute('tabindex', '0');
+  canvas.setAttribute('role', 'img');
+  canvas.setAttribute('aria-roledescription', 'interactive chart');
+  canvas.setAttribute(
+    'aria-label',
+    'Scenario comparison chart. Press Enter to focus, then use arrow keys to move between scenarios.'
+  );
+
+  const modelsToShow = selectedModel === 'all' ? MODEL_KEYS : [selectedModel];
+  const priceOf = (scenario, modelKey) => {
+    const { price } = scenario.calculations[modelKey];
+    return isFinite(price) ? price : null;
+  };
+
+  destroyChart();
+  currentFocusIndex = 0;
+  chartKind = 'comparison';
+  shown = { comparison, modelsToShow };
+
+  chartInstance = new Chart(canvas.getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels: comparison.map(scenario => scenario.name),
+      datasets: modelsToShow.map(modelKey => ({
+        label: getModelMetadata(modelKey).label,
+        data: comparison.map(scenario => priceOf(scenario, modelKey)),
+        backgroundColor: getModelMetadata(modelKey).color,
+        borderColor: '#333',
+        borderWidth: 1
+      }))
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: {
+        mode: 'index',
+        intersect: false
+      },
+      plugins: {
+        legend: {
+          display: modelsToShow.length > 1,
+          position: 'top'
+        },
+        tooltip: {
+          callbacks: {
+            label: (context) => `${context.dataset.label}: ${
+              context.raw === null ? 'not applicable' : formatCurrency(context.raw)
+            }`
+          }
+        }
+      },
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text: 'Scenario'
+          },
+          grid: {
+            display: false
+          }
+        },
+        y: {
+          beginAtZero: true,
+          title: {
+            display: true,
+            text: 'Stock Price ($)'
+          },
+          ticks: {
+            callback: function(value) {
+              return new Intl.NumberFormat('en-US', {
+                style: 'currency',
+                currency: 'USD',
+                minimumFractionDigits: 0,
+                maximumFractionDigits: 0
+              }).format(value);
+            }
+          }
+        }
+      }
+    }
+  });
+
+  setupKeyboardNavigation(canvas, comparison.length, index => {
+    const scenario = comparison[index];
+    const prices = modelsToShow.map(modelKey => {
+      const price = priceOf(scenario, modelKey);
+      return `${getModelMetadata(modelKey).label}: ${price === null ? 'not applicable' : formatCurrency(price)}`;
+    });
+    announce(`${scenario.name}. ${prices.join('. ')}.`);
+  });
 }
 
 /**
  * Setup keyboard navigation for the chart
+ * @param {HTMLCanvasElement} canvas - Chart canvas
+ * @param {number} pointCount - Number of x-axis positions
+ * @param {Function} announce - Called with the focused index
  */
-function setupKeyboardNavigation(canvas, cashFlows, calculations, selectedModel, modelsToShow) {
+function setupKeyboardNavigation(canvas, pointCount, announce) {
   // Remove existing listeners to avoid duplicates
-  const oldListener = canvas._keydownListener;
-  if (oldListener) {
-    canvas.removeEventListener('keydown', oldListener);
-  }
+  ['keydown', 'focus', 'blur', 'mousemove'].forEach(type => {
+    const key = `_${type}Listener`;
+    if (canvas[key]) canvas.removeEventListener(type, canvas[key]);
+  });
   
   // Create new listener
   const keydownListener = (e) => {
-    const maxIndex = cashFlows.length - 1;
+    const maxIndex = pointCount - 1;
     let newIndex = currentFocusIndex;
     
     // Enable keyboard mode on any arrow key press
@@ -267,7 +524,7 @@ function setupKeyboardNavigation(canvas, cashFlows, calculations, selectedModel,
     if (newIndex !== currentFocusIndex) {
       currentFocusIndex = newIndex;
       chartInstance.update('none');
-      announceDataPoint(cashFlows[currentFocusIndex], calculations, selectedModel, modelsToShow);
+      announce(currentFocusIndex);
       showTooltipAtIndex(currentFocusIndex);
     }
   };
@@ -280,7 +537,7 @@ function setupKeyboardNavigation(canvas, cashFlows, calculations, selectedModel,
   const focusListener = () => {
     isKeyboardMode = true;
     showTooltipAtIndex(currentFocusIndex);
-    announceDataPoint(cashFlows[currentFocusIndex], calculations, selectedModel, modelsToShow);
+    announce(currentFocusIndex);
   };
   
   const blurListener = () => {
@@ -298,7 +555,7 @@ function setupKeyboardNavigation(canvas, cashFlows, calculations, selectedModel,
     isKeyboardMode = false;
   };
   
-  canvas._mouseMoveListener = mouseMoveListener;
+  canvas._mousemoveListener = mouseMoveListener;
   canvas.addEventListener('mousemove', mouseMoveListener);
 }
 
@@ -328,36 +585,51 @@ function showTooltipAtIndex(index) {
  * Announce data point for screen readers
  */
 function announceDataPoint(cashFlow, calculations, selectedModel, modelsToShow) {
-  let liveRegion = document.getElementById('chart-live-region');
-  if (!liveRegion) {
-    liveRegion = document.createElement('div');
-    liveRegion.id = 'chart-live-region';
-    liveRegion.setAttribute('aria-live', 'polite');
-    liveRegion.setAttribute('aria-atomic', 'true');
-    liveRegion.className = 'sr-only';
-    document.body.appendChild(liveRegion);
-  }
-  
-  const yearLabel = cashFlow.year === 0 ? 'Initial investment' : `Year ${cashFlow.year}`;
+  const yearLabel = cashFlow.year === 0 ? 'Initial investment' : getPeriodLabel(cashFlow, true);
   
   let announcement = `${yearLabel}. `;
   
   if (selectedModel === 'all') {
     modelsToShow.forEach(modelKey => {
       const modelData = calculations[modelKey];
-      const dividend = modelData.cashFlows.find(cf => cf.year === cashFlow.year).dividend;
-      const modelName = {
-        constant: 'Constant',
-        growth: 'Growth',
-        changing: 'Two-stage'
-      }[modelKey];
-      announcement += `${modelName}: ${formatCurrency(Math.abs(dividend))}. `;
+      const flow = modelData.cashFlows.find(cf => cf.year === cashFlow.year);
+      const modelName = getModelMetadata(modelKey).label;
+      announcement += `${modelName}: ${formatCurrency(Math.abs(flow.dividend))}`
+        + `${describeTerminal(flow)}${describeExpectedPrice(modelData, flow)}. `;
     });
   } else {
-    announcement += formatCurrency(Math.abs(cashFlow.dividend));
+    announcement += `${formatCurrency(Math.abs(cashFlow.dividend))}${describeTerminal(cashFlow)}`
+      + describeExpectedPrice(calculations[selectedModel], cashFlow);
   }
   
-  liveRegion.textContent = announcement;
+  announce(announcement);
+}
+
+function announce(text) {
+  let liveRegion = document.getElementById('chart-live-region');
+  if (!liveRegion) {
+    liveRegion = document.createElement('div');
+    liveRegion.id = 'chart-live-region';
+    liveRegion.setAttribute('aria-live', 'polite');
+    liveRegion.setAttribute('aria-atomic', 'true');
+    liveRegion.className = 'sr-only';
+    document.body.appendChild(liveRegion);
+  }
+  liveRegion.textContent = text;
+}
+
+function describeTerminal(cashFlow) {
+  let text = cashFlow.terminal ? ` plus terminal value ${formatCurrency(cashFlow.terminal)}` : '';
+  if (currentChartMode === 'discounted' && cashFlow.year > 0) {
+    text += `, present value ${formatCurrency(cashFlow.pv + (cashFlow.pvTerminal || 0))}`;
+  }
+  return text;
+}
+
+function describeExpectedPrice(modelData, cashFlow) {
+  const { holding } = modelData;
+  if (!holding || cashFlow.year > holding.years) return '';
+  return `, expected price ${formatCurrency(cashFlow.expectedPrice)}`;
 }
 
 function formatCurrency(amount) {
@@ -375,5 +647,330 @@ export function destroyChart() {
   if (chartInstance) {
     chartInstance.destroy();
     chartInstance = null;
+    chartKind = null;
+  }
+}
+/* ---------- Export ---------- */
+
+// Caption text, in CSS pixels of the exported figure
+const CAPTION_FONT_SIZE = 12;
+const CAPTION_LINE_HEIGHT = 18;
+const CAPTION_PADDING = 12;
+const CAPTION_SEPARATOR = ' · ';
+const TEXT_COLOR = '#333';
+
+/**
+ * Download the chart as a PNG, with a caption of the inputs and prices
+ * @param {number} scale - Pixels per CSS pixel (2 = twice the on-screen size)
+ * @param {Object} inputs - state.inputs the chart was calculated from
+ */
+export function exportChartPNG(scale, inputs) {
+  const chart = chartInstance;
+  if (!chart) return;
+
+  const rows = layoutCaption(chartCaption(inputs), chart.width);
+  const captionHeight = captionHeightFor(rows);
+
+  // Redraw at the export resolution, copy, then restore the on-screen chart
+  const previousRatio = chart.options.devicePixelRatio;
+  chart.options.devicePixelRatio = scale;
+  chart.resize();
+  chart.update('none');
+
+  const output = document.createElement('canvas');
+  output.width = Math.round(chart.width * scale);
+  output.height = Math.round((chart.height + captionHeight) * scale);
+  const ctx = output.getContext('2d');
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, output.width, output.height);
+  ctx.drawImage(chart.canvas, 0, 0, chart.width * scale, chart.height * scale);
+
+  chart.options.devicePixelRatio = previousRatio;
+  chart.resize();
+  chart.update('none');
+
+  ctx.scale(scale, scale);
+  ctx.textBaseline = 'alphabetic';
+  rows.forEach((row, i) => {
+    let x = CAPTION_PADDING;
+    const y = chart.height + CAPTION_PADDING + (i + 1) * CAPTION_LINE_HEIGHT - 5;
+    row.forEach(span => {
+      ctx.font = `${span.bold ? 'bold ' : ''}${CAPTION_FONT_SIZE}px ${Chart.defaults.font.family}`;
+      ctx.fillStyle = span.color || TEXT_COLOR;
+      ctx.fillText(span.text, x, y);
+      x += ctx.measureText(span.text).width;
+    });
+  });
+
+  output.toBlob(blob => downloadFile(`${exportFileName()}.png`, blob, 'image/png'), 'image/png');
+}
+
+/**
+ * Download the chart as an SVG drawn from the Chart.js layout, so bars, axes
+ * and text stay sharp at any size
+ * @param {Object} inputs - state.inputs the chart was calculated from
+ */
+export function exportChartSVG(inputs) {
+  const chart = chartInstance;
+  if (!chart) return;
+
+  // Lay out the final values, not a frame of a running animation
+  chart.update('none');
+
+  const { width, height } = chart;
+  const rows = layoutCaption(chartCaption(inputs), width);
+  const totalHeight = height + captionHeightFor(rows);
+  const parts = [];
+
+  Object.values(chart.scales).forEach(scale => {
+    if (scale.options.display !== false) parts.push(svgScale(chart, scale));
+  });
+
+  chart.data.datasets.forEach((dataset, i) => {
+    if (!chart.isDatasetVisible(i)) return;
+    const meta = chart.getDatasetMeta(i);
+    parts.push(dataset.type === 'line' ? svgLine(dataset, meta) : svgBars(dataset, meta));
+  });
+
+  if (chart.legend && chart.legend.options.display) {
+    parts.push(svgLegend(chart.legend));
+  }
+
+  rows.forEach((row, i) => {
+    const y = height + CAPTION_PADDING + (i + 1) * CAPTION_LINE_HEIGHT - 5;
+    const spans = row.map(span => (
+      `<tspan fill="${span.color || TEXT_COLOR}"${span.bold ? ' font-weight="bold"' : ''}>${escapeHTML(span.text)}</tspan>`
+    ));
+    parts.push(`<text x="${CAPTION_PADDING}" y="${y}" font-size="${CAPTION_FONT_SIZE}" xml:space="preserve">${spans.join('')}</text>`);
+  });
+
+  const title = rows.length ? rows[0].map(span => span.text).join('') : 'Dividend chart';
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${totalHeight}"`
+      + ` viewBox="0 0 ${width} ${totalHeight}" font-family="${escapeHTML(Chart.defaults.font.family)}" role="img">`,
+    `<title>${escapeHTML(title)}</title>`,
+    `<rect width="100%" height="100%" fill="white"/>`,
+    ...parts,
+    '</svg>'
+  ].join('\n');
+
+  downloadFile(`${exportFileName()}.svg`, svg, 'image/svg+xml');
+}
+
+/**
+ * Caption lines: a title, the inputs used and the price of each model
+ * A line is a list of items kept together when wrapping; an item is a list
+ * of { text, color, bold } spans.
+ */
+function chartCaption(inputs) {
+  if (chartKind === 'comparison') {
+    const { comparison, modelsToShow } = shown;
+    return [
+      [[{ text: `Scenario comparison: ${describeModels(modelsToShow)}`, bold: true }]],
+      ...comparison.map(scenario => {
+        const prices = priceItems(scenario.calculations, modelsToShow);
+        prices[0] = [{ text: `${scenario.name}: ` }, ...prices[0]];
+        return prices;
+      })
+    ];
   }
-}
\ No newline at end of file
+
+  const { calculations, modelsToShow } = shown;
+  const values = currentChartMode === 'discounted' ? 'nominal and present values' : 'nominal values';
+  const inputItems = inputsUsed(inputs, modelsToShow).map(text => [{ text }]);
+  inputItems[0] = [{ text: 'Inputs: ' }, ...inputItems[0]];
+  const prices = priceItems(calculations, modelsToShow);
+  prices[0] = [{ text: 'Prices: ' }, ...prices[0]];
+
+  return [
+    [[{ text: `Dividend cash flows (${values}): ${describeModels(modelsToShow)}`, bold: true }]],
+    inputItems,
+    prices
+  ];
+}
+
+function describeModels(modelsToShow) {
+  return modelsToShow.length === 1 ? getModelMetadata(modelsToShow[0]).name : 'all models';
+}
+
+function priceItems(calculations, modelsToShow) {
+  return modelsToShow.map(key => {
+    const { price } = calculations[key];
+    const { label, color } = getModelMetadata(key);
+    return [
+      { text: label, color, bold: true },
+      { text: ` ${isFinite(price) ? formatCurrency(price) : 'not applicable'}` }
+    ];
+  });
+}
+
+function inputsUsed(inputs, modelsToShow) {
+  const used = new Set(modelsToShow.flatMap(key => MODEL_INPUTS[key]));
+  used.add('horizonYears');
+  if (inputs.frequency !== 1) used.add('frequency');
+  if (isFinite(inputs.holdingYears)) used.add('holdingYears');
+
+  const items = Object.keys(INPUT_UNITS)
+    .filter(key => used.has(key))
+    .map(key => `${getFieldLabel(key)} = ${formatInput(key, inputs[key])}`);
+  if (inputs.includeTerminal) items.push('terminal value included');
+  return items;
+}
+
+function formatInput(key, value) {
+  const unit = INPUT_UNITS[key];
+  if (Array.isArray(value)) return value.map(formatCurrency).join(', ');
+  if (key === 'frequency') return FREQUENCIES[value].name.toLowerCase();
+  if (unit === '$') return formatCurrency(value);
+  if (unit === '%') return `${value}%`;
+  return unit ? `${value} ${unit}` : String(value);
+}
+
+/**
+ * Wrap caption lines to the figure width, breaking only between items
+ * @returns {Object[][]} Rows of spans, separators included
+ */
+function layoutCaption(lines, width) {
+  // Approximate: the average glyph is a little over half the font size wide
+  const maxChars = Math.max(40, Math.floor((width - 2 * CAPTION_PADDING) / (CAPTION_FONT_SIZE * 0.55)));
+  const itemLength = (item) => item.reduce((sum, span) => sum + span.text.length, 0);
+
+  return lines.flatMap(items => {
+    const rows = [[]];
+    let length = 0;
+    items.forEach(item => {
+      const row = rows[rows.length - 1];
+      const needed = itemLength(item) + (row.length ? CAPTION_SEPARATOR.length : 0);
+      if (row.length && length + needed > maxChars) {
+        rows.push([...item]);
+        length = itemLength(item);
+        return;
+      }
+      if (row.length) row.push({ text: CAPTION_SEPARATOR });
+      row.push(...item);
+      length += needed;
+    });
+    return rows;
+  });
+}
+
+function captionHeightFor(rows) {
+  return rows.length ? rows.length * CAPTION_LINE_HEIGHT + 2 * CAPTION_PADDING : 0;
+}
+
+function exportFileName() {
+  if (chartKind === 'comparison') return 'ddm-scenario-comparison';
+  const { modelsToShow } = shown;
+  return modelsToShow.length === 1 ? `ddm-${modelsToShow[0]}-chart` : 'ddm-chart';
+}
+
+/* ---------- SVG drawing ---------- */
+
+// SVG 1.1 readers don't all accept #rrggbbaa, so split off the alpha
+function svgPaint(attribute, color) {
+  if (!color || color === 'transparent') return `${attribute}="none"`;
+  const match = /^#([0-9a-f]{6})([0-9a-f]{2})$/i.exec(color);
+  if (!match) return `${attribute}="${color}"`;
+  const opacity = (parseInt(match[2], 16) / 255).toFixed(2);
+  return `${attribute}="#${match[1]}" ${attribute}-opacity="${opacity}"`;
+}
+
+function svgBars(dataset, meta) {
+  const rects = meta.data.map(bar => {
+    const { x, y, base, width } = bar.getProps(['x', 'y', 'base', 'width'], true);
+    const height = Math.abs(base - y);
+    if (!isFinite(height) || height === 0) return '';
+    return `<rect x="${round(x - width / 2)}" y="${round(Math.min(y, base))}" width="${round(width)}" height="${round(height)}"/>`;
+  });
+  return `<g ${svgPaint('fill', dataset.backgroundColor)} ${svgPaint('stroke', dataset.borderColor)}`
+    + ` stroke-width="${dataset.borderWidth}">${rects.join('')}</g>`;
+}
+
+function svgLine(dataset, meta) {
+  let path = '';
+  let drawing = false;
+  const points = [];
+  meta.data.forEach(point => {
+    // Null values (beyond the sale year) break the line
+    if (point.skip) {
+      drawing = false;
+      return;
+    }
+    const { x, y } = point.getProps(['x', 'y'], true);
+    path += `${drawing ? 'L' : 'M'}${round(x)},${round(y)} `;
+    drawing = true;
+    points.push(`<circle cx="${round(x)}" cy="${round(y)}" r="${dataset.pointRadius}"/>`);
+  });
+  const dash = dataset.borderDash ? ` stroke-dasharray="${dataset.borderDash.join(' ')}"` : '';
+  return `<path d="${path.trim()}" fill="none" ${svgPaint('stroke', dataset.borderColor)}`
+    + ` stroke-width="${dataset.borderWidth}"${dash}/>`
+    + `<g ${svgPaint('fill', dataset.backgroundColor)}>${points.join('')}</g>`;
+}
+
+function svgScale(chart, scale) {
+  const { chartArea } = chart;
+  const { options } = scale;
+  const horizontal = scale.isHorizontal();
+  const right = scale.position === 'right';
+  const parts = [];
+
+  scale.ticks.forEach((tick, i) => {
+    const pixel = round(scale.getPixelForTick(i));
+    const label = escapeHTML([].concat(tick.label).join(' '));
+
+    if (options.grid.display !== false && options.grid.drawOnChartArea !== false) {
+      parts.push(horizontal
+        ? `<line x1="${pixel}" y1="${chartArea.top}" x2="${pixel}" y2="${chartArea.bottom}" stroke="#000" stroke-opacity="0.1"/>`
+        : `<line x1="${chartArea.left}" y1="${pixel}" x2="${chartArea.right}" y2="${pixel}" stroke="#000" stroke-opacity="0.1"/>`);
+    }
+
+    if (horizontal && scale.labelRotation) {
+      const y = round(scale.top + 8);
+      parts.push(`<text x="${pixel}" y="${y}" text-anchor="end" transform="rotate(${-scale.labelRotation} ${pixel} ${y})">${label}</text>`);
+    } else if (horizontal) {
+      parts.push(`<text x="${pixel}" y="${round(scale.top + 16)}" text-anchor="middle">${label}</text>`);
+    } else {
+      const x = right ? round(scale.left + 8) : round(scale.right - 8);
+      parts.push(`<text x="${x}" y="${pixel + 4}" text-anchor="${right ? 'start' : 'end'}">${label}</text>`);
+    }
+  });
+
+  // Axis line along the edge of the plot area
+  const edge = horizontal
+    ? `x1="${chartArea.left}" y1="${chartArea.bottom}" x2="${chartArea.right}" y2="${chartArea.bottom}"`
+    : `x1="${right ? chartArea.right : chartArea.left}" y1="${chartArea.top}" x2="${right ? chartArea.right : chartArea.left}" y2="${chartArea.bottom}"`;
+  parts.push(`<line ${edge} stroke="#000" stroke-opacity="0.25"/>`);
+
+  if (options.title && options.title.display) {
+    const text = escapeHTML(options.title.text);
+    if (horizontal) {
+      parts.push(`<text x="${round((chartArea.left + chartArea.right) / 2)}" y="${round(scale.bottom - 4)}" text-anchor="middle">${text}</text>`);
+    } else {
+      const x = round(right ? scale.right - 4 : scale.left + 12);
+      const y = round((chartArea.top + chartArea.bottom) / 2);
+      parts.push(`<text x="${x}" y="${y}" text-anchor="middle" transform="rotate(${right ? 90 : -90} ${x} ${y})">${text}</text>`);
+    }
+  }
+
+  return `<g font-size="12" fill="#666">${parts.join('')}</g>`;
+}
+
+function svgLegend(legend) {
+  const { boxWidth } = legend.options.labels;
+  const fontSize = (legend.options.labels.font || {}).size || 12;
+  const items = legend.legendItems.map((item, i) => {
+    const box = legend.legendHitBoxes[i];
+    if (!box) return '';
+    const y = round(box.top + (box.height - fontSize) / 2);
+    const dash = item.lineDash && item.lineDash.length ? ` stroke-dasharray="${item.lineDash.join(' ')}"` : '';
+    return `<rect x="${round(box.left)}" y="${y}" width="${boxWidth}" height="${fontSize}"`
+      + ` ${svgPaint('fill', item.fillStyle)} ${svgPaint('stroke', item.strokeStyle)} stroke-width="${item.lineWidth || 1}"${dash}/>`
+      + `<text x="${round(box.left + boxWidth + fontSize / 2)}" y="${y + fontSize - 2}" fill="#666"`
+      + `${item.hidden ? ' text-decoration="line-through"' : ''}>${escapeHTML(item.text)}</text>`;
+  });
+  return `<g font-size="${fontSize}">${items.join('')}</g>`;
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
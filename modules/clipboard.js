@@ -0,0 +1,179 @@
+/**
+ * clipboard.js – Copy the valuation and cash flow schedule as Markdown,
+ * tab-separated values or a plain-text summary
+ * Tables are built once from state.calculations as typed cells, then written
+ * in the chosen format: TSV keeps raw numbers so it pastes into spreadsheets.
+ */
+import { toTextTable } from './utils.js';
+import { MODEL_KEYS, getModelMetadata, getPeriodLabel } from './calculations.js';
+
+export const COPY_FORMATS = ['markdown', 'tsv', 'text'];
+
+/**
+ * Price summary of the shown models
+ * @param {Object} calculations - state.calculations
+ * @param {string} selectedModel - Model key or 'all'
+ * @param {string} format - One of COPY_FORMATS
+ * @returns {string} Clipboard text
+ */
+export function formatValuation(calculations, selectedModel, format) {
+  const rows = modelsFor(selectedModel).map(key => {
+    const model = calculations[key];
+    return [
+      text(getModelMetadata(key).label),
+      money(model.price),
+      money(model.pvDividends),
+      money(model.pvTerminal),
+      percent(model.terminalShare)
+    ];
+  });
+
+  return writeTable(format, {
+    title: 'Dividend discount valuation',
+    header: ['Model', 'Price', 'PV of Dividends', 'PV of Terminal Value', 'Terminal Share'],
+    rows
+  });
+}
+
+/**
+ * Cash flow schedule of the shown models, laid out as in the table view
+ * A single model gets the full PV decomposition; all models share the
+ * discount factor column and show dividend + PV per model.
+ * @returns {string} Clipboard text
+ */
+export function formatSchedule(calculations, selectedModel, format) {
+  const modelsToShow = modelsFor(selectedModel);
+  const detailed = modelsToShow.length === 1;
+  const { cashFlows } = calculations[modelsToShow[0]];
+  const last = cashFlows[cashFlows.length - 1];
+  // A model with no valid schedule (e.g. negative short-term growth) has no cash flows
+  const lastYear = last ? last.year : 0;
+  const hasTerminal = modelsToShow.some(m => calculations[m].cashFlows.some(c => c.terminal));
+  const flowAt = (m, year) => calculations[m].cashFlows.find(c => c.year === year) || {};
+  const periodHeader = cashFlows.some(c => c.period !== c.year) ? 'Period' : 'Year';
+
+  const header = detailed
+    ? [periodHeader, 'Dividend', 'Discount Factor', 'PV of Dividend', 'Cumulative PV']
+    : [periodHeader, 'Discount Factor', ...modelsToShow.flatMap(m => [getModelMetadata(m).label, `${getModelMetadata(m).label} PV`])];
+
+  const rows = cashFlows.map(cf => (detailed
+    ? [
+      text(getPeriodLabel(cf, true)),
+      money(cf.dividend),
+      factor(cf.discountFactor),
+      money(cf.pv),
+      cf.year === 0 ? empty() : money(cf.cumulativePV)
+    ]
+    : [
+      text(getPeriodLabel(cf, true)),
+      factor(cf.discountFactor),
+      ...modelsToShow.flatMap(m => {
+        const flow = flowAt(m, cf.year);
+        return [money(flow.dividend || 0), money(flow.pv || 0)];
+      })
+    ]));
+
+  if (hasTerminal) {
+    const label = text(`Terminal Value (Year ${lastYear})`);
+    rows.push(detailed
+      ? [label, money(last.terminal), factor(last.discountFactor), money(last.pvTerminal), money(last.cumulativePV + last.pvTerminal)]
+      : [label, factor(last.discountFactor), ...modelsToShow.flatMap(m => {
+        const flow = flowAt(m, lastYear);
+        return [money(flow.terminal || 0), money(flow.pvTerminal || 0)];
+      })]);
+  }
+
+  // Totals go in the PV column of each model
+  const footerRow = (label, valueOf, cell = money) => {
+    const values = modelsToShow.map(m => cell(isFinite(calculations[m].price) ? valueOf(calculations[m]) : NaN));
+    return detailed
+      ? [text(label), empty(), empty(), values[0], empty()]
+      : [text(label), empty(), ...values.flatMap(value => [empty(), value])];
+  };
+  rows.push(
+    footerRow(lastYear ? `PV of Dividends (Years 1–${lastYear})` : 'PV of Dividends', model => model.pvDividends),
+    footerRow('PV of Terminal Value', model => model.pvTerminal),
+    footerRow('Terminal Value Share of Price', model => model.terminalShare, percent),
+    footerRow('Stock Price (PV)', model => model.price)
+  );
+
+  const scope = detailed ? getModelMetadata(modelsToShow[0]).label : 'all models';
+  return writeTable(format, {
+    title: `Dividend cash flow schedule (${scope})`,
+    header,
+    rows
+  });
+}
+
+/**
+ * Put text on the clipboard
+ * Falls back to a hidden textarea where the async Clipboard API is missing
+ * (e.g. pages served over plain HTTP).
+ * @returns {Promise<void>} Rejects when the browser refuses
+ */
+export function copyText(value) {
+  if (navigator.clipboard && window.isSecureContext) {
+    return navigator.clipboard.writeText(value);
+  }
+
+  const textarea = document.createElement('textarea');
+  textarea.value = value;
+  textarea.setAttribute('readonly', '');
+  textarea.className = 'sr-only';
+  document.body.appendChild(textarea);
+  textarea.select();
+  const copied = document.execCommand('copy');
+  textarea.remove();
+  return copied ? Promise.resolve() : Promise.reject(new Error('Copy command was refused'));
+}
+
+/* ---------- Cells ---------- */
+const text = (value) => ({ value, type: 'text' });
+const money = (value) => ({ value, type: 'money' });
+const factor = (value) => ({ value, type: 'factor' });
+const percent = (value) => ({ value, type: 'percent' });
+const empty = () => ({ value: null, type: 'text' });
+
+function formatCell({ value, type }) {
+  if (value == null) return '';
+  if (type === 'text') return String(value);
+  if (!isFinite(value)) return '—';
+  if (type === 'factor') return value.toFixed(4);
+  if (type === 'percent') return `${(value * 100).toFixed(1)}%`;
+  return formatCurrency(value);
+}
+
+// Spreadsheets get unformatted numbers; percentages as fractions
+function rawCell({ value }) {
+  if (value == null || (typeof value === 'number' && !isFinite(value))) return '';
+  return String(value).replace(/[\t\r\n]+/g, ' ');
+}
+
+/* ---------- Formats ---------- */
+function writeTable(format, { title, header, rows }) {
+  if (format === 'tsv') {
+    return [header, ...rows.map(row => row.map(rawCell))].map(cells => cells.join('\t')).join('\n');
+  }
+
+  const formatted = rows.map(row => row.map(formatCell));
+  if (format === 'markdown') {
+    const line = (cells) => `| ${cells.map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`;
+    const align = header.map((_, i) => (i === 0 ? '---' : '---:'));
+    return [`**${title}**`, '', line(header), line(align), ...formatted.map(line)].join('\n');
+  }
+
+  return `${title}\n\n${toTextTable(header, formatted)}`;
+}
+
+function modelsFor(selectedModel) {
+  return selectedModel === 'all' ? MODEL_KEYS : [selectedModel];
+}
+
+function formatCurrency(amount) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(amount);
+}
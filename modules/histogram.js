@@ -0,0 +1,158 @@
+/**
+ * histogram.js – Monte Carlo price histogram, summary and export
+ */
+import { $, toCSV, downloadFile } from './utils.js';
+import { MODEL_KEYS, getModelMetadata } from './calculations.js';
+import { PERCENTILES, SIMULATED_INPUTS, buildHistogram } from './simulation.js';
+
+let histogramInstance = null;
+
+function getModelsToShow(selectedModel) {
+  return selectedModel === 'all' ? MODEL_KEYS : [selectedModel];
+}
+
+/**
+ * Render histogram and percentile summary in the visualization card
+ */
+export function renderSimulation(simulation, selectedModel) {
+  const canvas = $('#simulation-chart');
+  const summary = $('#simulation-summary');
+  if (!canvas || !summary) return;
+
+  const { results } = simulation;
+  if (!results) {
+    destroyHistogram();
+    summary.innerHTML = '<p class="simulation-empty">Set the input distributions and press Run simulation.</p>';
+    return;
+  }
+
+  const modelsToShow = getModelsToShow(selectedModel);
+  const { edges, counts } = buildHistogram(results.models, modelsToShow);
+  const labels = edges.slice(0, -1).map((lo, i) => `${formatCurrency(lo)}–${formatCurrency(edges[i + 1])}`);
+
+  destroyHistogram();
+  histogramInstance = new Chart(canvas.getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels,
+      datasets: modelsToShow.map(key => {
+        const { label, color } = getModelMetadata(key);
+        return {
+          label,
+          data: counts[key] || [],
+          backgroundColor: `${color}b3`,
+          borderColor: color,
+          borderWidth: 1,
+          barPercentage: 1,
+          categoryPercentage: 1
+        };
+      })
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      plugins: {
+        legend: { display: modelsToShow.length > 1, position: 'top' },
+        tooltip: {
+          callbacks: {
+            title: (context) => `Price ${context[0].label}`,
+            label: (context) => `${context.dataset.label}: ${context.parsed.y} trials`
+          }
+        }
+      },
+      scales: {
+        x: {
+          title: { display: true, text: 'Intrinsic price (tails folded into end bins)' },
+          ticks: { maxRotation: 60, autoSkip: true, maxTicksLimit: 10 },
+          grid: { display: false }
+        },
+        y: {
+          title: { display: true, text: 'Trials' },
+          beginAtZero: true
+        }
+      }
+    }
+  });
+
+  summary.innerHTML = buildSummaryTable(results, modelsToShow);
+}
+
+/**
+ * Percentile summary appended to the table view, with CSV download
+ */
+export function renderSimulationTable(simulation, selectedModel) {
+  const container = $('#simulation-export');
+  if (!container) return;
+
+  if (!simulation.results) {
+    container.hidden = true;
+    container.innerHTML = '';
+    return;
+  }
+
+  container.hidden = false;
+  container.innerHTML = `
+    <h4 class="simulation-export-title">Monte Carlo summary (${simulation.results.trials.length} trials, seed ${simulation.seed})</h4>
+    ${buildSummaryTable(simulation.results, getModelsToShow(selectedModel))}
+    <button type="button" class="toggle-btn" id="simulation-download-btn">Download trials (CSV)</button>
+  `;
+
+  $('#simulation-download-btn').addEventListener('click', () => downloadSimulationCSV(simulation));
+}
+
+export function destroyHistogram() {
+  if (histogramInstance) {
+    histogramInstance.destroy();
+    histogramInstance = null;
+  }
+}
+
+function buildSummaryTable(results, modelsToShow) {
+  let html = `
+    <table class="data-table simulation-table">
+      <caption class="sr-only">Simulated price percentiles by model</caption>
+      <thead>
+        <tr>
+          <th scope="col" class="text-left">Model</th>
+          <th scope="col" class="text-right">Mean</th>
+  `;
+  PERCENTILES.forEach(p => {
+    html += `<th scope="col" class="text-right">P${p}</th>`;
+  });
+  html += `<th scope="col" class="text-right">Invalid</th></tr></thead><tbody>`;
+
+  modelsToShow.forEach(key => {
+    const m = results.models[key];
+    html += `<tr><th scope="row" class="text-left">${getModelMetadata(key).label}</th>`;
+    html += `<td class="text-right" data-label="Mean">${formatCurrency(m.mean)}</td>`;
+    PERCENTILES.forEach(p => {
+      html += `<td class="text-right" data-label="P${p}">${formatCurrency(m.percentiles[p])}</td>`;
+    });
+    html += `<td class="text-right" data-label="Invalid">${(m.invalidShare * 100).toFixed(1)}%</td></tr>`;
+  });
+
+  html += `</tbody></table>`;
+  return html;
+}
+
+function downloadSimulationCSV(simulation) {
+  const header = ['Trial', ...SIMULATED_INPUTS, ...MODEL_KEYS.map(key => `${getModelMetadata(key).label} price`)];
+  const rows = simulation.results.trials.map(record => [
+    record.trial,
+    ...SIMULATED_INPUTS.map(key => record[key]),
+    ...MODEL_KEYS.map(key => record[key])
+  ]);
+  downloadFile(`ddm-simulation-seed-${simulation.seed}.csv`, toCSV([header, ...rows]), 'text/csv');
+}
+
+function formatCurrency(amount) {
+  if (!isFinite(amount)) return '—';
+
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(amount);
+}
@@ -0,0 +1,240 @@
+/**
+ * report.js – Printable report of the current valuation
+ * Assembled from state into a standalone page styled by report.css, rather
+ * than printing the live calculator.
+ */
+import { $, downloadFile, escapeHTML } from './utils.js';
+import {
+  MODEL_KEYS,
+  MODEL_INPUTS,
+  INPUT_UNITS,
+  FREQUENCIES,
+  getModelMetadata,
+  getPeriodLabel,
+  toModelParams,
+} from './calculations.js';
+import { getFieldLabel } from './validation.js';
+import { renderChartImage } from './chart.js';
+import { renderWorkingMarkup } from './working.js';
+
+const REPORT_TITLE = 'Dividend Discount Model Report';
+
+/**
+ * Build the report page
+ * @param {Object} s - state, with valid inputs and their calculations
+ * @param {Date} generatedAt - Timestamp printed on the report
+ * @returns {string} Complete HTML document
+ */
+export function buildReport(s, generatedAt = new Date()) {
+  const { inputs, calculations, selectedModel, chartMode } = s;
+  const modelsToShow = selectedModel === 'all' ? MODEL_KEYS : [selectedModel];
+  const params = toModelParams(inputs);
+  const stylesheet = new URL('report.css', document.baseURI).href;
+  const chartImage = renderChartImage(calculations, selectedModel, chartMode);
+  const timestamp = generatedAt.toLocaleString(undefined, { dateStyle: 'long', timeStyle: 'short' });
+  const scope = modelsToShow.length === 1 ? getModelMetadata(selectedModel).name : 'All models';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${REPORT_TITLE} – ${escapeHTML(timestamp)}</title>
+  <link rel="stylesheet" href="${escapeHTML(stylesheet)}">
+</head>
+<body>
+  <div class="report-toolbar">
+    <button type="button" onclick="window.print()">Print or save as PDF</button>
+  </div>
+
+  <header class="report-header">
+    <h1>${REPORT_TITLE}</h1>
+    <p>${escapeHTML(scope)} · Generated <time datetime="${generatedAt.toISOString()}">${escapeHTML(timestamp)}</time></p>
+  </header>
+
+  <section class="report-section">
+    <h2>Inputs</h2>
+    ${inputsTable(inputs, modelsToShow)}
+  </section>
+
+  <section class="report-section">
+    <h2>Valuations</h2>
+    ${pricesTable(calculations, modelsToShow, inputs.marketPrice)}
+  </section>
+
+  ${chartImage ? `<figure class="report-section report-chart">
+    <img src="${chartImage}" alt="Bar chart of the dividend cash flows for ${escapeHTML(scope.toLowerCase())}">
+    <figcaption>Dividend cash flows${chartMode === 'discounted' ? ', nominal and present values' : ''}.</figcaption>
+  </figure>` : ''}
+
+  <section class="report-section report-equations">
+    <h2>Equations</h2>
+    ${equationsMarkup()}
+  </section>
+
+  ${modelsToShow.map(key => modelSection(key, params, calculations[key])).join('\n')}
+</body>
+</html>`;
+}
+
+/**
+ * Open the report in a new tab; if pop-ups are blocked, download it instead
+ * @param {Object} s - state
+ * @returns {boolean} False when the report was downloaded
+ */
+export function openReport(s) {
+  const html = buildReport(s);
+  const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+  const win = window.open(url, '_blank');
+  if (!win) {
+    URL.revokeObjectURL(url);
+    downloadFile('ddm-report.html', html, 'text/html');
+    return false;
+  }
+  // Keep the page available long enough to load, and to reload once
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+  return true;
+}
+
+function inputsTable(inputs, modelsToShow) {
+  // Leave out the inputs of models not in the report
+  const modelSpecific = new Set(Object.values(MODEL_INPUTS).flat());
+  const used = new Set(modelsToShow.flatMap(key => MODEL_INPUTS[key]));
+  const rows = Object.keys(INPUT_UNITS)
+    .filter(key => !modelSpecific.has(key) || used.has(key))
+    .filter(key => typeof inputs[key] !== 'number' || isFinite(inputs[key]))
+    .map(key => `<tr><th scope="row">${escapeHTML(getFieldLabel(key))}</th><td>${escapeHTML(formatInput(key, inputs[key]))}</td></tr>`);
+
+  return `<table class="report-table report-inputs">
+    <caption class="sr-only">Inputs used by the reported models; optional inputs left empty are omitted</caption>
+    <tbody>${rows.join('')}</tbody>
+  </table>`;
+}
+
+function pricesTable(calculations, modelsToShow, marketPrice) {
+  const hasMarket = isFinite(marketPrice);
+  const rows = modelsToShow.map(key => {
+    const model = calculations[key];
+    const gap = hasMarket && isFinite(model.price) ? (model.price - marketPrice) / marketPrice : NaN;
+    return `<tr>
+      <th scope="row">${escapeHTML(getModelMetadata(key).name)}</th>
+      <td>${formatCurrency(model.price)}</td>
+      <td>${formatCurrency(model.pvDividends)}</td>
+      <td>${formatCurrency(model.pvTerminal)}</td>
+      <td>${formatPercent(model.terminalShare)}</td>
+      ${hasMarket ? `<td>${formatPercent(gap)}</td>` : ''}
+    </tr>`;
+  });
+
+  return `<table class="report-table">
+    <thead>
+      <tr>
+        <th scope="col">Model</th>
+        <th scope="col">Price</th>
+        <th scope="col">PV of Dividends</th>
+        <th scope="col">PV of Terminal Value</th>
+        <th scope="col">Terminal Share</th>
+        ${hasMarket ? `<th scope="col">Value vs. Market (${formatCurrency(marketPrice)})</th>` : ''}
+      </tr>
+    </thead>
+    <tbody>${rows.join('')}</tbody>
+  </table>`;
+}
+
+/**
+ * One model per page: formula, price, worked solution and PV schedule
+ */
+function modelSection(key, params, model) {
+  const meta = getModelMetadata(key);
+  const working = renderWorkingMarkup(key, params, model);
+
+  return `<section class="report-model" style="border-top-color:${meta.color};">
+    <h2 style="color:${meta.color};">${escapeHTML(meta.name)}</h2>
+    <p class="report-model-summary">${escapeHTML(meta.description)}. ${escapeHTML(meta.formula)}</p>
+    <p class="report-price">Price: <strong>${isFinite(model.price) ? formatCurrency(model.price) : 'not applicable for these inputs'}</strong></p>
+    ${working ? `<h3>Working</h3><div class="report-working">${working}</div>` : ''}
+    <h3>Present value schedule</h3>
+    ${model.cashFlows.length ? scheduleTable(model) : '<p>No schedule: the model does not apply to these inputs.</p>'}
+  </section>`;
+}
+
+function scheduleTable(model) {
+  const { cashFlows } = model;
+  const last = cashFlows[cashFlows.length - 1];
+  const rows = cashFlows.map(cf => `<tr>
+    <th scope="row">${cf.year === 0 ? 'Purchase' : escapeHTML(getPeriodLabel(cf, true))}</th>
+    <td>${formatCurrency(cf.dividend)}</td>
+    <td>${formatFactor(cf.discountFactor)}</td>
+    <td>${formatCurrency(cf.pv)}</td>
+    <td>${cf.year === 0 ? '—' : formatCurrency(cf.cumulativePV)}</td>
+  </tr>`);
+
+  if (last.terminal) {
+    rows.push(`<tr class="report-terminal">
+      <th scope="row">Terminal value</th>
+      <td>${formatCurrency(last.terminal)}</td>
+      <td>${formatFactor(last.discountFactor)}</td>
+      <td>${formatCurrency(last.pvTerminal)}</td>
+      <td>${formatCurrency(last.cumulativePV + last.pvTerminal)}</td>
+    </tr>`);
+  }
+
+  return `<table class="report-table report-schedule">
+    <thead>
+      <tr>
+        <th scope="col">Period</th>
+        <th scope="col">Dividend</th>
+        <th scope="col">Discount Factor</th>
+        <th scope="col">PV</th>
+        <th scope="col">Cumulative PV</th>
+      </tr>
+    </thead>
+    <tbody>${rows.join('')}</tbody>
+    <tfoot>
+      <tr><th scope="row" colspan="3">PV of Dividends</th><td colspan="2">${formatCurrency(model.pvDividends)}</td></tr>
+      <tr><th scope="row" colspan="3">PV of Terminal Value</th><td colspan="2">${formatCurrency(model.pvTerminal)}</td></tr>
+      <tr><th scope="row" colspan="3">Stock Price (PV)</th><td colspan="2"><strong>${formatCurrency(model.price)}</strong></td></tr>
+    </tfoot>
+  </table>`;
+}
+
+/**
+ * The formulas of the equations card, without its keyboard and fallback markup
+ */
+function equationsMarkup() {
+  const grid = $('#equation-card .model-equations-grid');
+  if (!grid) return '';
+
+  const copy = grid.cloneNode(true);
+  copy.querySelectorAll('.html-equation').forEach(el => el.remove());
+  copy.querySelectorAll('[tabindex]').forEach(el => el.removeAttribute('tabindex'));
+  return copy.outerHTML;
+}
+
+function formatInput(key, value) {
+  const unit = INPUT_UNITS[key];
+  if (Array.isArray(value)) return value.map(formatCurrency).join(', ');
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (key === 'frequency') return FREQUENCIES[value].name;
+  if (unit === '$') return formatCurrency(value);
+  if (unit === '%') return `${value}%`;
+  return unit ? `${value} ${unit}` : String(value);
+}
+
+function formatFactor(factor) {
+  return isFinite(factor) ? factor.toFixed(4) : '—';
+}
+
+function formatPercent(rate) {
+  return isFinite(rate) ? `${(rate * 100).toFixed(1)}%` : '—';
+}
+
+function formatCurrency(amount) {
+  if (!isFinite(amount)) return '—';
+
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(amount);
+}
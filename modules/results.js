@@ -2,29 +2,10 @@
  * Results Rendering - Dividend Discount Calculator
  */
 import { $ } from './utils.js';
+import { MODEL_KEYS, getModelMetadata } from './calculations.js';
+import { renderWorking } from './working.js';
 
-const MODEL_META = {
-  constant: {
-    name: 'Constant Dividend',
-    color: '#3c6ae5',
-    description: 'No growth assumed',
-    formula: 'P = D₀ ÷ r'
-  },
-  growth: {
-    name: 'Constant Growth',
-    color: '#15803d',
-    description: 'Constant growth rate',
-    formula: 'P = D₁ ÷ (r − g)'
-  },
-  changing: {
-    name: 'Two-Stage Growth',
-    color: '#7a46ff',
-    description: 'High then sustainable growth',
-    formula: 'P = PV(high) + PV(term)'
-  }
-};
-
-export function renderResults(calculations, selectedModel) {
+export function renderResults(calculations, selectedModel, params) {
   const container = $('#results-content');
   if (!container) return;
   
@@ -32,13 +13,13 @@ export function renderResults(calculations, selectedModel) {
   
   // Determine which models to display
   const modelsToShow = selectedModel === 'all' 
-    ? ['constant', 'growth', 'changing']
+    ? MODEL_KEYS
     : [selectedModel];
   
   // Create result boxes for each model
   modelsToShow.forEach(modelKey => {
     const modelData = calculations[modelKey];
-    const metadata = MODEL_META[modelKey];
+    const metadata = getModelMetadata(modelKey);
     
     const box = document.createElement('div');
     box.className = `result-box model-${modelKey}`;
@@ -47,7 +28,7 @@ export function renderResults(calculations, selectedModel) {
     // Title
     const title = document.createElement('h5');
     title.className = `result-title model-${modelKey}`;
-    title.textContent = metadata.name;
+    title.textContent = metadata.label;
     box.appendChild(title);
     
     // Price value
@@ -71,6 +52,16 @@ export function renderResults(calculations, selectedModel) {
     }
     
     box.appendChild(valueDiv);
+
+    // Difference from the annual-payment assumption
+    if (isFinite(modelData.price) && isFinite(modelData.annualPrice)) {
+      box.appendChild(renderFrequencyComparison(modelData.price, modelData.annualPrice));
+    }
+
+    // Market comparison (only when a market price is entered)
+    if (modelData.market) {
+      box.appendChild(renderMarketComparison(modelData.market, modelData.price));
+    }
     
     // Description (only if valid)
     if (isFinite(modelData.price)) {
@@ -84,12 +75,206 @@ export function renderResults(calculations, selectedModel) {
       formula.className = 'result-formula';
       formula.textContent = metadata.formula;
       box.appendChild(formula);
+
+      // Worked solution with the calculated inputs substituted
+      const working = renderWorking(modelKey, params, modelData);
+      if (working) box.appendChild(working);
+
+      // Holding-period return (when a holding period is entered)
+      if (modelData.holding) {
+        box.appendChild(renderHoldingPeriod(modelData.holding));
+      }
+
+      // Justified multiples (when EPS or book value is entered)
+      if (modelData.multiples) {
+        box.appendChild(renderMultiples(modelData.multiples));
+      }
+
+      // PV breakdown per stage (multi-stage models)
+      if (modelData.stages) {
+        box.appendChild(renderStageBreakdown(modelData.stages));
+      }
     }
     
     container.appendChild(box);
   });
 }
 
+/**
+ * Scenario comparison: one box per model listing its price in each scenario
+ * @param {Object[]} comparison - { name, calculations } per scenario
+ * @param {string} selectedModel - Model key or 'all'
+ */
+export function renderComparisonResults(comparison, selectedModel) {
+  const container = $('#results-content');
+  if (!container) return;
+
+  container.innerHTML = '';
+
+  const modelsToShow = selectedModel === 'all'
+    ? MODEL_KEYS
+    : [selectedModel];
+
+  modelsToShow.forEach(modelKey => {
+    const metadata = getModelMetadata(modelKey);
+
+    const box = document.createElement('div');
+    box.className = `result-box model-${modelKey}`;
+    box.setAttribute('aria-live', 'polite');
+
+    const title = document.createElement('h5');
+    title.className = `result-title model-${modelKey}`;
+    title.textContent = metadata.label;
+    box.appendChild(title);
+
+    const list = document.createElement('dl');
+    list.className = 'result-comparison';
+    comparison.forEach(scenario => {
+      const { price } = scenario.calculations[modelKey];
+      const term = document.createElement('dt');
+      term.textContent = scenario.name;
+      const detail = document.createElement('dd');
+      detail.textContent = isFinite(price) ? formatCurrency(price) : 'Not Applicable';
+      list.appendChild(term);
+      list.appendChild(detail);
+    });
+    box.appendChild(list);
+
+    // Spread across the scenarios that produce a price
+    const prices = comparison
+      .map(scenario => scenario.calculations[modelKey].price)
+      .filter(price => isFinite(price));
+    if (prices.length > 1) {
+      const range = document.createElement('div');
+      range.className = 'result-description';
+      range.textContent = `Range ${formatCurrency(Math.min(...prices))} – ${formatCurrency(Math.max(...prices))}`;
+      box.appendChild(range);
+    }
+
+    container.appendChild(box);
+  });
+}
+
+function renderFrequencyComparison(price, annualPrice) {
+  const diff = price - annualPrice;
+  const sign = diff >= 0 ? '+' : '−';
+  const note = document.createElement('div');
+  note.className = 'result-frequency';
+  note.textContent = `Annual payments: ${formatCurrency(annualPrice)} `
+    + `(${sign}${formatCurrency(Math.abs(diff))}, ${sign}${formatPercent(Math.abs(diff / annualPrice))})`;
+  return note;
+}
+
+function renderMarketComparison(market, intrinsic) {
+  const list = document.createElement('dl');
+  list.className = 'result-market';
+
+  const rows = [['Market price', formatCurrency(market.price)]];
+
+  if (isFinite(intrinsic)) {
+    const pct = formatPercent(Math.abs(market.mispricing));
+    const verdict = market.mispricing >= 0 ? `Undervalued by ${pct}` : `Overvalued by ${pct}`;
+    rows.push(['Intrinsic vs. market', verdict]);
+  }
+
+  rows.push([
+    'Implied required return',
+    isFinite(market.impliedRequired) ? formatPercent(market.impliedRequired) : 'No solution'
+  ]);
+
+  if (isFinite(market.impliedGrowth)) {
+    rows.push(['Implied growth', formatPercent(market.impliedGrowth)]);
+  }
+
+  rows.forEach(([label, value]) => {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const detail = document.createElement('dd');
+    detail.textContent = value;
+    list.appendChild(term);
+    list.appendChild(detail);
+  });
+
+  return list;
+}
+
+function renderHoldingPeriod(holding) {
+  const list = document.createElement('dl');
+  list.className = 'result-holding';
+
+  [
+    [`Expected price P${toSubscript(holding.years)}`, formatCurrency(holding.expectedPrice)],
+    [`Dividends received (${holding.years} yr)`, formatCurrency(holding.dividends)],
+    ['Holding-period return', formatPercent(holding.totalReturn)],
+    ['  Dividend yield', formatPercent(holding.dividendYield)],
+    ['  Capital gain yield', formatPercent(holding.capitalGainYield)]
+  ].forEach(([label, value]) => {
+    const term = document.createElement('dt');
+    term.textContent = label.trim();
+    if (label.startsWith(' ')) term.className = 'result-subitem';
+    const detail = document.createElement('dd');
+    detail.textContent = value;
+    list.appendChild(term);
+    list.appendChild(detail);
+  });
+
+  return list;
+}
+
+function toSubscript(n) {
+  return String(n).replace(/\d/g, d => '₀₁₂₃₄₅₆₇₈₉'[d]);
+}
+
+function renderMultiples(multiples) {
+  const list = document.createElement('dl');
+  list.className = 'result-multiples';
+
+  [
+    ['Justified leading P/E', multiples.leadingPE],
+    ['Justified trailing P/E', multiples.trailingPE],
+    ['Justified P/B', multiples.priceToBook]
+  ].forEach(([label, value]) => {
+    if (!isFinite(value)) return;
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const detail = document.createElement('dd');
+    detail.textContent = `${value.toFixed(2)}×`;
+    list.appendChild(term);
+    list.appendChild(detail);
+  });
+
+  if (isFinite(multiples.payout)) {
+    const term = document.createElement('dt');
+    term.textContent = 'Payout ratio (D₀ ÷ E₀)';
+    const detail = document.createElement('dd');
+    detail.textContent = formatPercent(multiples.payout);
+    list.appendChild(term);
+    list.appendChild(detail);
+  }
+
+  return list;
+}
+
+function renderStageBreakdown(stages) {
+  const list = document.createElement('dl');
+  list.className = 'result-stages';
+
+  [
+    ['PV stage 1 (high growth)', stages.high],
+    ['PV stage 2 (transition)', stages.transition],
+    ['PV stage 3 (terminal)', stages.terminal]
+  ].forEach(([label, value]) => {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const detail = document.createElement('dd');
+    detail.textContent = formatCurrency(value);
+    list.appendChild(term);
+    list.appendChild(detail);
+  });
+
+  return list;
+}
+
 function formatCurrency(amount) {
   if (isNaN(amount)) return '$0.00';
   
@@ -99,4 +284,9 @@ function formatCurrency(amount) {
     minimumFractionDigits: 2,
     maximumFractionDigits: 2
   }).format(amount);
+}
+
+function formatPercent(rate) {
+  if (!isFinite(rate)) return '—';
+  return `${(rate * 100).toFixed(2)}%`;
 }
\ No newline at end of file
@@ -0,0 +1,184 @@
+/**
+ * scenarios.js – Named scenarios kept in localStorage
+ * A scenario is { id, name, savedAt, inputs, selectedModel }.
+ */
+import { $, escapeHTML } from './utils.js';
+import { DEFAULT_INPUTS } from './state.js';
+import { MODEL_KEYS } from './calculations.js';
+import { validateAll } from './validation.js';
+
+const STORAGE_KEY = 'ddm-calculator-scenarios';
+const FILE_VERSION = 1;
+
+/**
+ * Read saved scenarios (newest first)
+ * @returns {Object[]} Scenarios; empty if storage is unavailable or corrupt
+ */
+export function loadScenarios() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.map(normalizeScenario).filter(Boolean) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Write the scenario list
+ * @throws {Error} When localStorage is unavailable or full
+ */
+export function saveScenarios(scenarios) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(scenarios));
+}
+
+/**
+ * Add a scenario, replacing any existing one with the same name
+ * @returns {Object[]} Updated list
+ */
+export function upsertScenario(scenarios, name, inputs, selectedModel) {
+  const scenario = {
+    id: createId(),
+    name,
+    savedAt: new Date().toISOString(),
+    inputs: structuredClone(inputs),
+    selectedModel
+  };
+  return [scenario, ...scenarios.filter(s => s.name !== name)];
+}
+
+export function renameScenario(scenarios, id, name) {
+  return scenarios.map(s => (s.id === id ? { ...s, name } : s));
+}
+
+export function duplicateScenario(scenarios, id) {
+  const source = scenarios.find(s => s.id === id);
+  if (!source) return scenarios;
+  return [{
+    ...structuredClone(source),
+    id: createId(),
+    name: uniqueName(scenarios, `${source.name} (copy)`),
+    savedAt: new Date().toISOString()
+  }, ...scenarios];
+}
+
+export function deleteScenario(scenarios, id) {
+  return scenarios.filter(s => s.id !== id);
+}
+
+/**
+ * Serialise scenarios for a JSON download
+ */
+export function exportScenarios(scenarios) {
+  return JSON.stringify({ version: FILE_VERSION, scenarios }, null, 2);
+}
+
+/**
+ * Read scenarios from an exported file and merge them into the list
+ * Invalid scenarios are skipped; name clashes get a numbered suffix.
+ * @param {Object[]} scenarios - Current list
+ * @param {string} text - File contents
+ * @returns {Object} { scenarios, imported, skipped } or { error }
+ */
+export function importScenarios(scenarios, text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    return { error: 'The file is not valid JSON.' };
+  }
+
+  const incoming = Array.isArray(parsed) ? parsed : parsed && parsed.scenarios;
+  if (!Array.isArray(incoming)) return { error: 'The file does not contain any scenarios.' };
+
+  let merged = scenarios;
+  let imported = 0;
+  incoming.forEach(raw => {
+    const scenario = normalizeScenario(raw);
+    if (!scenario || Object.keys(validateAll(scenario.inputs)).length) return;
+    merged = [...merged, { ...scenario, id: createId(), name: uniqueName(merged, scenario.name) }];
+    imported++;
+  });
+
+  return { scenarios: merged, imported, skipped: incoming.length - imported };
+}
+
+/**
+ * Render the saved list into #scenario-list
+ * @param {Object[]} scenarios - Saved scenarios
+ * @param {string[]} compareIds - Scenarios ticked for comparison
+ */
+export function renderScenarioList(scenarios, compareIds = []) {
+  const list = $('#scenario-list');
+  if (!list) return;
+
+  if (!scenarios.length) {
+    list.innerHTML = '<li class="scenario-empty">No saved scenarios yet.</li>';
+    return;
+  }
+
+  list.innerHTML = scenarios.map(s => `
+    <li class="scenario-item" data-id="${s.id}">
+      <span class="scenario-name">${escapeHTML(s.name)}</span>
+      <span class="scenario-date">${formatDate(s.savedAt)}</span>
+      <label class="scenario-compare">
+        <input type="checkbox" data-action="compare" ${compareIds.includes(s.id) ? 'checked' : ''}>
+        Compare<span class="sr-only"> ${escapeHTML(s.name)}</span>
+      </label>
+      <span class="scenario-actions">
+        <button type="button" class="toggle-btn toggle-btn-small" data-action="load" aria-label="Load ${escapeHTML(s.name)}">Load</button>
+        <button type="button" class="toggle-btn toggle-btn-small" data-action="rename" aria-label="Rename ${escapeHTML(s.name)}">Rename</button>
+        <button type="button" class="toggle-btn toggle-btn-small" data-action="duplicate" aria-label="Duplicate ${escapeHTML(s.name)}">Duplicate</button>
+        <button type="button" class="toggle-btn toggle-btn-small" data-action="delete" aria-label="Delete ${escapeHTML(s.name)}">Delete</button>
+      </span>
+    </li>
+  `).join('');
+}
+
+/**
+ * Fill in missing inputs from the defaults and restore NaN (saved as null)
+ * @returns {Object|null} Scenario, or null if it is unusable
+ */
+function normalizeScenario(raw) {
+  if (!raw || typeof raw !== 'object' || typeof raw.name !== 'string' || !raw.name.trim()) return null;
+  if (!raw.inputs || typeof raw.inputs !== 'object') return null;
+
+  const inputs = structuredClone(DEFAULT_INPUTS);
+  Object.keys(DEFAULT_INPUTS).forEach(key => {
+    if (!(key in raw.inputs)) return;
+    const value = raw.inputs[key];
+    const fallback = DEFAULT_INPUTS[key];
+    if (typeof fallback === 'boolean') inputs[key] = value === true;
+    else if (Array.isArray(fallback)) inputs[key] = Array.isArray(value) ? value.map(toNumber) : [];
+    else inputs[key] = toNumber(value);
+  });
+
+  const model = raw.selectedModel;
+  return {
+    id: typeof raw.id === 'string' ? raw.id : createId(),
+    name: raw.name.trim(),
+    savedAt: typeof raw.savedAt === 'string' ? raw.savedAt : new Date().toISOString(),
+    inputs,
+    selectedModel: model === 'all' || MODEL_KEYS.includes(model) ? model : 'all'
+  };
+}
+
+function toNumber(value) {
+  return value === null || value === '' ? NaN : Number(value);
+}
+
+function uniqueName(scenarios, name) {
+  const taken = new Set(scenarios.map(s => s.name));
+  if (!taken.has(name)) return name;
+  let n = 2;
+  while (taken.has(`${name} ${n}`)) n++;
+  return `${name} ${n}`;
+}
+
+function createId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function formatDate(iso) {
+  const date = new Date(iso);
+  return isNaN(date) ? '' : date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
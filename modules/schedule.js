@@ -0,0 +1,47 @@
+/**
+ * schedule.js – Editable year-by-year dividend grid for the custom model
+ */
+import { $ } from './utils.js';
+
+export const MAX_SCHEDULE_YEARS = 30;
+
+/**
+ * Render one row per forecast year
+ * @param {number[]} dividends - state.inputs.customDividends
+ */
+export function renderScheduleEditor(dividends) {
+  const body = $('#schedule-body');
+  const addBtn = $('#schedule-add-btn');
+  if (!body) return;
+
+  body.innerHTML = dividends.map((div, i) => `
+    <tr>
+      <th scope="row">Year ${i + 1}</th>
+      <td>
+        <div class="input-wrapper">
+          <span class="input-prefix">$</span>
+          <input type="number" class="input-field-inline schedule-input" data-index="${i}"
+                 min="0.01" max="1000" step="0.01" value="${isFinite(div) ? div : ''}"
+                 aria-label="Dividend in year ${i + 1}">
+        </div>
+      </td>
+      <td>
+        <button type="button" class="schedule-remove-btn" data-index="${i}"
+                aria-label="Remove year ${i + 1}" ${dividends.length === 1 ? 'disabled' : ''}>✕</button>
+      </td>
+    </tr>
+  `).join('');
+
+  if (addBtn) addBtn.disabled = dividends.length >= MAX_SCHEDULE_YEARS;
+}
+
+/**
+ * Read the current grid values
+ * @returns {number[]} Dividends in year order (NaN for blanks)
+ */
+export function readScheduleEditor() {
+  return Array.from(document.querySelectorAll('#schedule-body .schedule-input')).map(el => {
+    const raw = el.value.trim();
+    return raw === '' ? NaN : Number(raw);
+  });
+}
@@ -0,0 +1,124 @@
+/**
+ * sensitivity.js – Two-way price grid for required return vs. growth
+ */
+import { $ } from './utils.js';
+import { GROWTH_PARAM, calculateSensitivityGrid, getModelMetadata, toModelParams } from './calculations.js';
+
+// Keep the grid readable on screen
+const MAX_STEPS = 25;
+
+const GROWTH_LABELS = {
+  gConst: 'Constant growth (g)',
+  gLong: 'Long-term growth (gL)',
+  gTerminal: 'Terminal growth (gT)'
+};
+
+/**
+ * Model used for the grid – the selected model if it has a growth input,
+ * otherwise the Gordon model
+ */
+export function getSensitivityModel(selectedModel) {
+  return GROWTH_PARAM[selectedModel] ? selectedModel : 'growth';
+}
+
+export function renderSensitivity(inputs, selectedModel, range) {
+  const table = $('#sensitivity-table');
+  const message = $('#sensitivity-message');
+  if (!table) return;
+
+  const requiredValues = buildValues(range.rMin, range.rMax, range.rStep);
+  const growthValues = buildValues(range.gMin, range.gMax, range.gStep);
+
+  if (!requiredValues.length || !growthValues.length) {
+    table.innerHTML = '';
+    if (message) {
+      message.textContent = `Enter ranges with min ≤ max, a positive step and at most ${MAX_STEPS} steps.`;
+    }
+    return;
+  }
+  if (message) message.textContent = '';
+
+  const modelKey = getSensitivityModel(selectedModel);
+  const grid = calculateSensitivityGrid(
+    toModelParams(inputs),
+    modelKey,
+    requiredValues.map(v => v / 100),
+    growthValues.map(v => v / 100)
+  );
+  const baseRequired = inputs.required;
+  const baseGrowth = inputs[grid.growthParam];
+  const growthLabel = GROWTH_LABELS[grid.growthParam];
+
+  let html = `
+    <caption>${getModelMetadata(modelKey).label} price by required return (columns) and ${growthLabel.toLowerCase()} (rows)</caption>
+    <thead>
+      <tr>
+        <th scope="col" class="text-left">${growthLabel} \\ r</th>
+  `;
+
+  requiredValues.forEach(r => {
+    const isBase = sameRate(r, baseRequired);
+    html += `<th scope="col" class="text-right${isBase ? ' is-base' : ''}">${formatRate(r)}</th>`;
+  });
+
+  html += `</tr></thead><tbody>`;
+
+  grid.rows.forEach((row, i) => {
+    const g = growthValues[i];
+    const isBaseRow = sameRate(g, baseGrowth);
+    html += `<tr>
+      <th scope="row" class="text-left${isBaseRow ? ' is-base' : ''}">${formatRate(g)}</th>`;
+
+    row.forEach((cell, j) => {
+      const isBase = isBaseRow && sameRate(requiredValues[j], baseRequired);
+      const classes = ['text-right'];
+      let text;
+      if (cell.valid) {
+        text = formatCurrency(cell.price);
+      } else {
+        classes.push('is-invalid');
+        text = cell.growth >= cell.required ? 'g ≥ r' : 'n/a';
+      }
+      if (isBase) {
+        classes.push('is-base');
+        text += '<span class="sr-only"> (base case)</span>';
+      }
+      html += `<td class="${classes.join(' ')}">${text}</td>`;
+    });
+
+    html += `</tr>`;
+  });
+
+  html += `</tbody>`;
+  table.innerHTML = html;
+}
+
+function buildValues(min, max, step) {
+  if (![min, max, step].every(isFinite) || step <= 0 || max < min) return [];
+  const count = Math.floor((max - min) / step + 1e-9) + 1;
+  if (count > MAX_STEPS) return [];
+  return Array.from({ length: count }, (_, i) => round(min + i * step));
+}
+
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function sameRate(a, b) {
+  return Math.abs(a - b) < 1e-6;
+}
+
+function formatRate(pct) {
+  return `${round(pct)}%`;
+}
+
+function formatCurrency(amount) {
+  if (isNaN(amount)) return '$0.00';
+
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(amount);
+}
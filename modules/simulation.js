@@ -0,0 +1,154 @@
+/**
+ * simulation.js – Monte Carlo valuation
+ * Pure functions: seedable RNG, input distributions and trial summaries
+ */
+import { MODEL_KEYS, calculateAllModels, toModelParams } from './calculations.js';
+
+/**
+ * Inputs that can be given a distribution (same units as state.inputs)
+ */
+export const SIMULATED_INPUTS = ['D0', 'required', 'gConst', 'gShort', 'gLong'];
+
+export const PERCENTILES = [5, 25, 50, 75, 95];
+
+const HISTOGRAM_BINS = 30;
+
+/**
+ * Seedable pseudo-random generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return function next() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw one value from an input distribution
+ * Normal is centred on the base value; triangular peaks at the base value.
+ * @param {Object} dist - { type, sd, min, max }
+ * @param {number} base - Point estimate from state.inputs
+ * @param {Function} rng - Generator from createRng
+ * @returns {number} Sampled value
+ */
+export function sampleDistribution(dist, base, rng) {
+  switch (dist.type) {
+    case 'normal': {
+      // Box–Muller; 1 − u keeps the log argument away from zero
+      const u = 1 - rng();
+      const v = rng();
+      return base + dist.sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+    case 'uniform':
+      return dist.min + (dist.max - dist.min) * rng();
+    case 'triangular': {
+      const { min, max } = dist;
+      if (max === min) return min;
+      const u = rng();
+      const cut = (base - min) / (max - min);
+      return u < cut
+        ? min + Math.sqrt(u * (max - min) * (base - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - base));
+    }
+    default:
+      return base;
+  }
+}
+
+/**
+ * Run a Monte Carlo valuation
+ * @param {Object} inputs - state.inputs (point estimates)
+ * @param {Object} distributions - Distribution per simulated input
+ * @param {Object} options - { trials, seed }
+ * @returns {Object} { trials, models } where models holds the per-model summary
+ */
+export function runSimulation(inputs, distributions, { trials, seed }) {
+  const rng = createRng(seed);
+  const records = [];
+  const prices = Object.fromEntries(MODEL_KEYS.map(key => [key, []]));
+
+  for (let i = 0; i < trials; i++) {
+    const sampled = { ...inputs, marketPrice: NaN };
+    SIMULATED_INPUTS.forEach(key => {
+      const dist = distributions[key];
+      if (dist) sampled[key] = sampleDistribution(dist, inputs[key], rng);
+    });
+
+    const results = calculateAllModels(toModelParams(sampled));
+    const record = { trial: i + 1 };
+    SIMULATED_INPUTS.forEach(key => { record[key] = sampled[key]; });
+    MODEL_KEYS.forEach(key => {
+      record[key] = results[key].price;
+      prices[key].push(results[key].price);
+    });
+    records.push(record);
+  }
+
+  const models = {};
+  MODEL_KEYS.forEach(key => {
+    models[key] = summarisePrices(prices[key]);
+  });
+
+  return { trials: records, models };
+}
+
+/**
+ * Summary statistics for one model's trial prices
+ * invalidShare counts every trial without a finite price, whatever the cause
+ * (g ≥ r, a schedule the model cannot price, ...).
+ */
+function summarisePrices(prices) {
+  const valid = prices.filter(p => isFinite(p)).sort((a, b) => a - b);
+  const invalidShare = prices.length ? (prices.length - valid.length) / prices.length : 0;
+  const mean = valid.length ? valid.reduce((s, p) => s + p, 0) / valid.length : NaN;
+  const percentiles = Object.fromEntries(
+    PERCENTILES.map(p => [p, percentile(valid, p)])
+  );
+  return { validCount: valid.length, invalidShare, mean, percentiles, sorted: valid };
+}
+
+/**
+ * Percentile of sorted values (linear interpolation)
+ */
+export function percentile(sorted, p) {
+  if (!sorted.length) return NaN;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(rank);
+  const hi = Math.ceil(rank);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+}
+
+/**
+ * Shared histogram bins for several models
+ * Tails beyond the 1st/99th pooled percentile are folded into the end bins,
+ * since prices explode as sampled g approaches r.
+ * @param {Object} models - Summaries from runSimulation
+ * @param {string[]} modelKeys - Models to include
+ * @returns {Object} { edges, counts } with counts keyed by model
+ */
+export function buildHistogram(models, modelKeys, bins = HISTOGRAM_BINS) {
+  const pooled = modelKeys.flatMap(key => models[key].sorted).sort((a, b) => a - b);
+  if (!pooled.length) return { edges: [], counts: {} };
+
+  const lo = percentile(pooled, 1);
+  const hi = percentile(pooled, 99);
+  const width = hi > lo ? (hi - lo) / bins : 1;
+  const edges = Array.from({ length: bins + 1 }, (_, i) => lo + i * width);
+
+  const counts = {};
+  modelKeys.forEach(key => {
+    counts[key] = new Array(bins).fill(0);
+    models[key].sorted.forEach(price => {
+      const idx = Math.min(bins - 1, Math.max(0, Math.floor((price - lo) / width)));
+      counts[key][idx]++;
+    });
+  });
+
+  return { edges, counts };
+}
@@ -0,0 +1,48 @@
+/**
+ * solver.js – Numeric root finding for implied rates
+ * Pure functions, shared by calculations.js
+ */
+
+const DEFAULT_TOLERANCE = 1e-10;
+const DEFAULT_MAX_ITERATIONS = 200;
+
+/**
+ * Find a root of fn within [lo, hi] by bisection
+ * Bisection is slower than Newton but never leaves the bracket, which
+ * matters here because the DDM prices blow up as r approaches g.
+ * @param {Function} fn - Continuous function of one variable
+ * @param {number} lo - Lower bound of the bracket
+ * @param {number} hi - Upper bound of the bracket
+ * @param {Object} options - { tolerance, maxIterations }
+ * @returns {number} Root, or NaN if the bracket does not contain a sign change
+ */
+export function findRoot(fn, lo, hi, options = {}) {
+  const {
+    tolerance = DEFAULT_TOLERANCE,
+    maxIterations = DEFAULT_MAX_ITERATIONS
+  } = options;
+
+  let fLo = fn(lo);
+  const fHi = fn(hi);
+  if (!isFinite(fLo) || !isFinite(fHi)) return NaN;
+  if (fLo === 0) return lo;
+  if (fHi === 0) return hi;
+  if (Math.sign(fLo) === Math.sign(fHi)) return NaN;
+
+  let a = lo;
+  let b = hi;
+  for (let i = 0; i < maxIterations; i++) {
+    const mid = (a + b) / 2;
+    const fMid = fn(mid);
+    if (!isFinite(fMid)) return NaN;
+    if (fMid === 0 || (b - a) / 2 < tolerance) return mid;
+
+    if (Math.sign(fMid) === Math.sign(fLo)) {
+      a = mid;
+      fLo = fMid;
+    } else {
+      b = mid;
+    }
+  }
+  return (a + b) / 2;
+}
@@ -10,30 +10,223 @@ export const state = {
     gConst: 5,                // Constant growth rate (percentage)
     gShort: 8,                // Short-term growth rate (percentage)
     gLong: 3,                 // Long-term growth rate (percentage)
-    shortYears: 5             // Years of high growth
+    shortYears: 5,            // Years of high growth
+    transitionYears: 4,       // Three-stage years of linearly fading growth
+    halfLife: 3,              // H-model half-life of the growth fade (years)
+    customDividends: [5.4, 5.9, 6.5], // Custom model: explicit dividends for years 1..N
+    gTerminal: 4,             // Custom model: growth after the explicit forecast
+    horizonYears: 10,         // Years of cash flows shown in chart and table
+    includeTerminal: false,   // Add the horizon value of the stock as a cash flow
+    frequency: 1,             // Dividend payments per year (1, 2, 4 or 12)
+    holdingYears: NaN,        // Holding-period mode: years until sale (optional)
+    marketPrice: NaN,         // Current market price (optional, NaN = not entered)
+    eps: NaN,                 // Trailing earnings per share E₀ (optional)
+    bvps: NaN,                // Book value per share B₀ (optional)
+    roe: NaN,                 // Growth builder: return on equity (optional)
+    payout: NaN,              // Growth builder: dividend payout ratio (optional)
+    riskFree: NaN,            // CAPM builder: risk-free rate (optional)
+    beta: NaN,                // CAPM builder: equity beta (optional)
+    erp: NaN,                 // CAPM builder: equity risk premium (optional)
+    sizePremium: NaN          // CAPM builder: size/specific-risk premium (optional)
   },
   
   // Model selection
-  selectedModel: 'all',       // 'constant' | 'growth' | 'changing' | 'all'
+  selectedModel: 'all',       // 'constant' | 'growth' | 'changing' | 'threestage' | 'hmodel' | 'custom' | 'all'
   
   // UI state
-  view: 'chart',              // 'chart' | 'table'
+  view: 'chart',              // 'chart' | 'table' | 'sensitivity' | 'simulation' | 'batch'
+  chartMode: 'nominal',       // 'nominal' | 'discounted'
+
+  // Sensitivity grid ranges (percentages)
+  sensitivity: {
+    rMin: 6,
+    rMax: 14,
+    rStep: 1,
+    gMin: 1,
+    gMax: 9,
+    gStep: 1
+  },
+
+  // Monte Carlo settings (values in the same units as inputs)
+  simulation: {
+    trials: 5000,
+    seed: 12345,
+    distributions: {
+      D0: { type: 'fixed', sd: 0.5, min: 4, max: 6 },
+      required: { type: 'normal', sd: 1, min: 8, max: 12 },
+      gConst: { type: 'normal', sd: 1, min: 3, max: 7 },
+      gShort: { type: 'uniform', sd: 2, min: 6, max: 10 },
+      gLong: { type: 'triangular', sd: 0.5, min: 2, max: 4 }
+    },
+    results: null             // Output of runSimulation, null until run
+  },
+
+  // Batch valuation of a loaded CSV of companies
+  batch: {
+    fileName: '',
+    records: null,            // Output of parseBatchCSV, null until a file is loaded
+    sortKey: 'name',          // 'name' or a model key
+    sortDir: 'ascending'      // 'ascending' | 'descending'
+  },
   
+  // Saved scenarios (see scenarios.js) and the ones being compared
+  scenarios: [],
+  comparison: {
+    enabled: false,
+    ids: []                   // Scenario ids in the order they were ticked
+  },
+
   // Calculated values
-  calculations: null,         // All three model calculations
+  calculations: null,         // All model calculations
+  calculationParams: null,    // Model parameters the calculations were made with
+  comparisonResults: null,    // Output of calculateScenarios while comparing
   
   // Validation errors
   errors: {},
   
-  // Listeners for state changes
+  // Subscriptions to state changes (see subscribe)
   listeners: []
 };
 
+// Initial inputs, for shared links and saved scenarios that omit a field
+export const DEFAULT_INPUTS = structuredClone(state.inputs);
+
+/* ---------- UNDO / REDO ---------- */
+// Only the user's case is undoable; views, results and errors are derived or UI-only
+const HISTORY_LIMIT = 100;
+// Edits to the same input closer together than this are one undo step
+const COALESCE_MS = 1500;
+
+const history = {
+  past: [],                   // Snapshots before each change, oldest first
+  future: [],                 // Snapshots undone, most recent last
+  lastKey: null,              // Input changed by the last recorded edit
+  lastTime: 0
+};
+
+function snapshot() {
+  return { inputs: structuredClone(state.inputs), selectedModel: state.selectedModel };
+}
+
+// JSON compares schedules by value and treats NaN (an empty field) as equal to itself
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function recordHistory(updates) {
+  const changedInputs = 'inputs' in updates
+    ? Object.keys(updates.inputs).filter(key => !sameValue(updates.inputs[key], state.inputs[key]))
+    : [];
+  const modelChanged = 'selectedModel' in updates && updates.selectedModel !== state.selectedModel;
+  if (!changedInputs.length && !modelChanged) return;
+
+  const now = Date.now();
+  const key = !modelChanged && changedInputs.length === 1 ? changedInputs[0] : null;
+  const coalesce = key !== null && key === history.lastKey && now - history.lastTime < COALESCE_MS;
+
+  if (!coalesce) {
+    history.past.push(snapshot());
+    if (history.past.length > HISTORY_LIMIT) history.past.shift();
+  }
+  history.future = [];
+  history.lastKey = key;
+  history.lastTime = now;
+}
+
+function restoreSnapshot(from, to) {
+  if (!from.length) return false;
+  to.push(snapshot());
+  Object.assign(state, from.pop());
+  history.lastKey = null;
+  scheduleNotify();
+  return true;
+}
+
+/**
+ * Step back to the inputs and model before the last change
+ * @returns {boolean} False when there is nothing to undo
+ */
+export function undo() {
+  return restoreSnapshot(history.past, history.future);
+}
+
+/**
+ * Re-apply the last undone change
+ * @returns {boolean} False when there is nothing to redo
+ */
+export function redo() {
+  return restoreSnapshot(history.future, history.past);
+}
+
+export function canUndo() {
+  return history.past.length > 0;
+}
+
+export function canRedo() {
+  return history.future.length > 0;
+}
+
+// Start the history from the current state, e.g. once the page has loaded
+export function clearHistory() {
+  history.past = [];
+  history.future = [];
+  history.lastKey = null;
+}
+
+/* ---------- SUBSCRIPTIONS ---------- */
+// Marks a subscription that has not been notified yet
+const NEVER = Symbol('never');
+let notifyPending = false;
+
+/**
+ * Update state; subscribers are notified once, after the current task's
+ * setState calls have all been applied
+ */
 export function setState(updates) {
+  recordHistory(updates);
   Object.assign(state, updates);
-  state.listeners.forEach(fn => fn(state));
+  scheduleNotify();
+}
+
+/**
+ * Call fn when the selected part of the state changes
+ * The selector may return a value, array or object; arrays and objects are
+ * compared one level deep, so select the state slices a renderer reads.
+ * @param {Function} selector - (state) => selection; omit to hear every change
+ * @param {Function} fn - Called with (state, selection)
+ * @returns {Function} Unsubscribe
+ */
+export function subscribe(selector, fn) {
+  const subscription = fn
+    ? { selector, fn, last: NEVER }
+    : { selector: () => NEVER, fn: selector, last: NEVER };
+  state.listeners.push(subscription);
+
+  return () => {
+    state.listeners = state.listeners.filter(s => s !== subscription);
+  };
+}
+
+function scheduleNotify() {
+  if (notifyPending) return;
+  notifyPending = true;
+  queueMicrotask(notify);
 }
 
-export function subscribe(fn) {
-  state.listeners.push(fn);
-}
\ No newline at end of file
+function notify() {
+  notifyPending = false;
+  // Copy, so subscribers may unsubscribe while being notified
+  [...state.listeners].forEach(subscription => {
+    const selection = subscription.selector(state);
+    if (selection !== NEVER && shallowEqual(selection, subscription.last)) return;
+    subscription.last = selection;
+    subscription.fn(state, selection);
+  });
+}
+
+function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => Object.is(a[key], b[key]));
+}
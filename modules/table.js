@@ -1,14 +1,16 @@
 /**
  * table.js – Add data-label for mobile stacking
  */
-import { $ } from './utils.js';
+import { $, escapeHTML, toCSV, toSpreadsheetML, downloadFile } from './utils.js';
+import { MODEL_KEYS, INPUT_UNITS, getModelMetadata, getPeriodLabel } from './calculations.js';
+import { getFieldLabel } from './validation.js';
 
 export function renderTable(calculations, selectedModel) {
   const table = $('#data-table');
   if (!table) return;
 
   const modelsToShow = selectedModel === 'all'
-    ? ['constant', 'growth', 'changing']
+    ? MODEL_KEYS
     : [selectedModel];
 
   const firstModel = calculations[modelsToShow[0]];
@@ -16,62 +18,315 @@ export function renderTable(calculations, selectedModel) {
 
   const cashFlows = firstModel.cashFlows;
 
-  const modelNames = {
-    constant: 'Constant Dividend',
-    growth: 'Constant Growth',
-    changing: 'Two-Stage Growth',
-  };
+  // A single model gets the full PV decomposition; all models share the
+  // discount factor column and show dividend + PV per model
+  const detailed = modelsToShow.length === 1;
+  // A model with no valid schedule (e.g. negative short-term growth) has no cash flows
+  const lastYear = cashFlows.length ? cashFlows[cashFlows.length - 1].year : 0;
+  const hasTerminal = modelsToShow.some(m => calculations[m].cashFlows.some(c => c.terminal));
+  const flowAt = (m, year) => calculations[m].cashFlows.find(c => c.year === year);
+  const periodHeader = cashFlows.some(c => c.period !== c.year) ? 'Period' : 'Year';
 
   let html = `
-    <caption class="sr-only">Dividend cash flow schedule</caption>
+    <caption class="sr-only">Dividend cash flow schedule with present values</caption>
     <thead>
-      <tr>
-        <th scope="col" class="text-left">Year</th>
   `;
 
-  modelsToShow.forEach(m => {
-    html += `<th scope="col" class="text-right">${modelNames[m]}</th>`;
-  });
+  if (detailed) {
+    html += `<tr>
+        <th scope="col" class="text-left">${periodHeader}</th>
+        <th scope="col" class="text-right">Dividend</th>
+        <th scope="col" class="text-right">Discount Factor</th>
+        <th scope="col" class="text-right">PV of Dividend</th>
+        <th scope="col" class="text-right">Cumulative PV</th>
+      </tr>`;
+  } else {
+    html += `<tr>
+        <th scope="col" rowspan="2" class="text-left">${periodHeader}</th>
+        <th scope="col" rowspan="2" class="text-right">Discount Factor</th>`;
+    modelsToShow.forEach(m => {
+      html += `<th scope="colgroup" colspan="2" class="text-right">${getModelMetadata(m).label}</th>`;
+    });
+    html += `</tr><tr>`;
+    modelsToShow.forEach(() => {
+      html += `<th scope="col" class="text-right">Dividend</th><th scope="col" class="text-right">PV</th>`;
+    });
+    html += `</tr>`;
+  }
 
-  html += `</tr></thead><tbody>`;
+  html += `</thead><tbody>`;
 
   cashFlows.forEach(cf => {
-    const yearLabel = cf.year === 0 ? 'Initial' : `Year ${cf.year}`;
+    const yearLabel = getPeriodLabel(cf, true);
     html += `<tr>
       <th scope="row" class="text-left">${yearLabel}</th>`;
 
+    if (detailed) {
+      html += `<td class="text-right" data-label="Dividend">${formatCurrency(cf.dividend, true)}</td>
+        <td class="text-right" data-label="Discount Factor">${formatFactor(cf.discountFactor)}</td>
+        <td class="text-right" data-label="PV of Dividend">${formatCurrency(cf.pv, true)}</td>
+        <td class="text-right" data-label="Cumulative PV">${cf.year === 0 ? '—' : formatCurrency(cf.cumulativePV)}</td>`;
+      html += `</tr>`;
+      return;
+    }
+
+    html += `<td class="text-right" data-label="Discount Factor">${formatFactor(cf.discountFactor)}</td>`;
     modelsToShow.forEach(m => {
-      const flow = calculations[m].cashFlows.find(c => c.year === cf.year);
+      const flow = flowAt(m, cf.year);
       const val = flow ? flow.dividend : 0;
-      const formatted = formatCurrency(val, true);
-      html += `<td class="text-right" data-label="${modelNames[m]}">${formatted}</td>`;
+      const pv = flow ? flow.pv : 0;
+      html += `<td class="text-right" data-label="${getModelMetadata(m).label}">${formatCurrency(val, true)}</td>`;
+      html += `<td class="text-right" data-label="${getModelMetadata(m).label} PV">${formatCurrency(pv, true)}</td>`;
     });
 
     html += `</tr>`;
   });
 
-  // Footer – totals + price
-  html += `</tbody><tfoot>
-    <tr>
-      <th scope="row" class="text-left">Total Received</th>`;
-  modelsToShow.forEach(m => {
-    const total = calculations[m].cashFlows
-      .reduce((s, c) => s + (c.dividend > 0 ? c.dividend : 0), 0);
-    html += `<td class="text-right"><strong>${formatCurrency(total)}</strong></td>`;
+  // Terminal value received with the last dividend (optional)
+  if (hasTerminal) {
+    const lastFlow = cashFlows[cashFlows.length - 1];
+    html += `<tr class="terminal-row">
+      <th scope="row" class="text-left">Terminal Value (Year ${lastYear})</th>`;
+    if (detailed) {
+      html += `<td class="text-right" data-label="Dividend">${formatCurrency(lastFlow.terminal)}</td>
+        <td class="text-right" data-label="Discount Factor">${formatFactor(lastFlow.discountFactor)}</td>
+        <td class="text-right" data-label="PV of Dividend">${formatCurrency(lastFlow.pvTerminal)}</td>
+        <td class="text-right" data-label="Cumulative PV">${formatCurrency(lastFlow.cumulativePV + lastFlow.pvTerminal)}</td>`;
+    } else {
+      html += `<td class="text-right" data-label="Discount Factor">${formatFactor(lastFlow.discountFactor)}</td>`;
+      modelsToShow.forEach(m => {
+        const flow = flowAt(m, lastYear);
+        const val = flow && flow.terminal ? flow.terminal : 0;
+        const pv = flow && flow.pvTerminal ? flow.pvTerminal : 0;
+        html += `<td class="text-right" data-label="${getModelMetadata(m).label}">${formatCurrency(val)}</td>`;
+        html += `<td class="text-right" data-label="${getModelMetadata(m).label} PV">${formatCurrency(pv)}</td>`;
+      });
+    }
+    html += `</tr>`;
+  }
+
+  // Footer – totals, PV split + price
+  const labelSpan = detailed ? 1 : 2;
+  const valueSpan = detailed ? 4 : 2;
+  const footerRow = (label, valueOf) => {
+    let row = `<tr>
+      <th scope="row" colspan="${labelSpan}" class="text-left">${label}</th>`;
+    modelsToShow.forEach(m => {
+      const model = calculations[m];
+      const txt = isFinite(model.price) ? valueOf(model) : 'Invalid';
+      row += `<td colspan="${valueSpan}" class="text-right" data-label="${getModelMetadata(m).label}"><strong>${txt}</strong></td>`;
+    });
+    return `${row}</tr>`;
+  };
+
+  html += `</tbody><tfoot>`;
+  html += footerRow('Total Received', model => formatCurrency(totalReceived(model)));
+  html += footerRow(lastYear ? `PV of Dividends (Years 1–${lastYear})` : 'PV of Dividends', model => formatCurrency(model.pvDividends));
+  html += footerRow('PV of Terminal Value', model => formatCurrency(model.pvTerminal));
+  html += footerRow('Terminal Value Share of Price', model => formatPercent(model.terminalShare));
+  html += footerRow('Stock Price (PV)', model => formatCurrency(model.price));
+
+  // Justified multiples (when EPS or book value is entered)
+  const multiplesOf = (m) => calculations[m].multiples || {};
+  if (modelsToShow.some(m => isFinite(multiplesOf(m).trailingPE))) {
+    html += footerRow('Justified Leading P/E', model => formatMultiple((model.multiples || {}).leadingPE));
+    html += footerRow('Justified Trailing P/E', model => formatMultiple((model.multiples || {}).trailingPE));
+  }
+  if (modelsToShow.some(m => isFinite(multiplesOf(m).priceToBook))) {
+    html += footerRow('Justified P/B', model => formatMultiple((model.multiples || {}).priceToBook));
+  }
+  html += `</tfoot>`;
+
+  table.innerHTML = html;
+}
+
+/**
+ * Scenario comparison: one dividend column per scenario × model, with
+ * the model price in the footer
+ * @param {Object[]} comparison - { name, calculations } per scenario
+ * @param {string} selectedModel - Model key or 'all'
+ */
+export function renderComparisonTable(comparison, selectedModel) {
+  const table = $('#data-table');
+  if (!table || !comparison.length) return;
+
+  const modelsToShow = selectedModel === 'all'
+    ? MODEL_KEYS
+    : [selectedModel];
+
+  // Scenarios may differ in horizon and payment frequency, so rows are the
+  // union of all payment times
+  const allFlows = comparison.flatMap(scenario =>
+    modelsToShow.flatMap(m => scenario.calculations[m].cashFlows)
+  );
+  const years = [...new Set(allFlows.map(cf => cf.year))].sort((a, b) => a - b);
+  const labelsAt = (year) => new Set(allFlows.filter(cf => cf.year === year).map(cf => getPeriodLabel(cf, true)));
+  // Where scenarios label the same time differently (Y1 Q2 vs. Y1 H1), rows are labelled by time
+  const mixed = years.some(year => labelsAt(year).size > 1);
+  const labelFor = (year) => (mixed && year > 0 ? `t = ${year.toFixed(2)} yr` : [...labelsAt(year)][0]);
+  const periodHeader = mixed ? 'Time' : allFlows.some(cf => cf.period !== cf.year) ? 'Period' : 'Year';
+
+  let html = `
+    <caption class="sr-only">Dividend cash flows and prices by scenario and model</caption>
+    <thead>
+      <tr>
+        <th scope="col" rowspan="2" class="text-left">${periodHeader}</th>
+  `;
+  comparison.forEach(scenario => {
+    html += `<th scope="colgroup" colspan="${modelsToShow.length}" class="text-right">${escapeHTML(scenario.name)}</th>`;
+  });
+  html += `</tr><tr>`;
+  comparison.forEach(() => {
+    modelsToShow.forEach(m => {
+      html += `<th scope="col" class="text-right">${getModelMetadata(m).label}</th>`;
+    });
+  });
+  html += `</tr></thead><tbody>`;
+
+  years.forEach(year => {
+    html += `<tr>
+      <th scope="row" class="text-left">${labelFor(year)}</th>`;
+    comparison.forEach(scenario => {
+      modelsToShow.forEach(m => {
+        const flow = scenario.calculations[m].cashFlows.find(cf => cf.year === year);
+        const label = `${escapeHTML(scenario.name)} ${getModelMetadata(m).label}`;
+        html += `<td class="text-right" data-label="${label}">${flow ? formatCurrency(flow.dividend, true) : '—'}</td>`;
+      });
+    });
+    html += `</tr>`;
   });
-  html += `</tr>
-    <tr>
-      <th scope="row" class="text-left">Stock Price (PV)</th>`;
-  modelsToShow.forEach(m => {
-    const price = calculations[m].price;
-    const txt = isFinite(price) ? formatCurrency(price) : 'Invalid';
-    html += `<td class="text-right"><strong>${txt}</strong></td>`;
+
+  html += `</tbody><tfoot><tr>
+    <th scope="row" class="text-left">Stock Price (PV)</th>`;
+  comparison.forEach(scenario => {
+    modelsToShow.forEach(m => {
+      const { price } = scenario.calculations[m];
+      const label = `${escapeHTML(scenario.name)} ${getModelMetadata(m).label}`;
+      html += `<td class="text-right" data-label="${label}"><strong>${isFinite(price) ? formatCurrency(price) : 'Invalid'}</strong></td>`;
+    });
   });
   html += `</tr></tfoot>`;
 
   table.innerHTML = html;
 }
 
+/* ---------- Spreadsheet export ---------- */
+
+/**
+ * The table's data as spreadsheet sheets: inputs, a price summary and the
+ * cash flows of each shown model. Cells hold raw numbers (rates in percent,
+ * as entered) so the work can continue in a spreadsheet.
+ * @param {Object} inputs - state.inputs
+ * @param {Object} calculations - state.calculations
+ * @param {string} selectedModel - Model key or 'all'
+ * @returns {Object[]} { name, rows, headerRows } per sheet, for toSpreadsheetML
+ */
+export function buildTableSheets(inputs, calculations, selectedModel) {
+  const modelsToShow = selectedModel === 'all' ? MODEL_KEYS : [selectedModel];
+  const hasMultiples = (key) => modelsToShow.some(m => isFinite((calculations[m].multiples || {})[key]));
+  const multiples = [
+    ['leadingPE', 'Justified Leading P/E'],
+    ['trailingPE', 'Justified Trailing P/E'],
+    ['priceToBook', 'Justified P/B'],
+  ].filter(([key]) => hasMultiples(key));
+
+  const prices = [
+    ['Model', 'Stock Price (PV)', 'PV of Dividends', 'PV of Terminal Value', 'Terminal Value Share (%)',
+      'Total Received', ...multiples.map(([, label]) => label)],
+    ...modelsToShow.map(m => {
+      const model = calculations[m];
+      return [
+        getModelMetadata(m).label,
+        model.price,
+        model.pvDividends,
+        model.pvTerminal,
+        model.terminalShare * 100,
+        totalReceived(model),
+        ...multiples.map(([key]) => (model.multiples || {})[key]),
+      ];
+    }),
+  ];
+
+  return [
+    { name: 'Inputs', rows: inputRows(inputs), headerRows: [0] },
+    { name: 'Prices', rows: prices, headerRows: [0] },
+    ...modelsToShow.map(m => ({ name: getModelMetadata(m).label, ...cashFlowRows(calculations[m]) })),
+  ];
+}
+
+export function downloadTableCSV(inputs, calculations, selectedModel) {
+  // CSV has no sheets, so each one becomes a titled block
+  const rows = buildTableSheets(inputs, calculations, selectedModel)
+    .flatMap((sheet, i) => [...(i ? [[]] : []), [sheet.name], ...sheet.rows]);
+  downloadFile(`${exportBaseName(selectedModel)}.csv`, toCSV(rows), 'text/csv');
+}
+
+export function downloadTableWorkbook(inputs, calculations, selectedModel) {
+  const xml = toSpreadsheetML(buildTableSheets(inputs, calculations, selectedModel));
+  downloadFile(`${exportBaseName(selectedModel)}.xml`, xml, 'application/vnd.ms-excel');
+}
+
+function inputRows(inputs) {
+  const rows = [['Input', 'Value', 'Unit']];
+  Object.keys(inputs).forEach(key => {
+    const value = inputs[key];
+    if (Array.isArray(value)) {
+      value.forEach((v, i) => rows.push([`${getFieldLabel(key)} – Year ${i + 1}`, v, INPUT_UNITS[key]]));
+    } else if (typeof value === 'boolean') {
+      rows.push([getFieldLabel(key), value ? 'Yes' : 'No', INPUT_UNITS[key]]);
+    } else if (isFinite(value)) {
+      // Optional inputs left empty are omitted
+      rows.push([getFieldLabel(key), value, INPUT_UNITS[key]]);
+    }
+  });
+  return rows;
+}
+
+function cashFlowRows(model) {
+  const rows = [
+    ['Period', 'Year', 'Dividend', 'Discount Factor', 'PV of Dividend', 'Cumulative PV',
+      'Terminal Value', 'PV of Terminal Value'],
+    ...model.cashFlows.map(cf => [
+      getPeriodLabel(cf, true),
+      cf.year,
+      cf.dividend,
+      cf.discountFactor,
+      cf.pv,
+      cf.year === 0 ? null : cf.cumulativePV,
+      cf.terminal || null,
+      cf.pvTerminal || null,
+    ]),
+    [],
+    ['Total Received', totalReceived(model)],
+    ['PV of Dividends', model.pvDividends],
+    ['PV of Terminal Value', model.pvTerminal],
+    ['Stock Price (PV)', model.price],
+  ];
+  // Bold the column headings and the price
+  return { rows, headerRows: [0, rows.length - 1] };
+}
+
+// Dividends and any terminal value, excluding the purchase at year 0
+function totalReceived(model) {
+  return model.cashFlows.reduce((s, c) => s + (c.dividend > 0 ? c.dividend : 0) + (c.terminal || 0), 0);
+}
+
+function exportBaseName(selectedModel) {
+  return selectedModel === 'all' ? 'ddm-cash-flows' : `ddm-${selectedModel}-cash-flows`;
+}
+
+function formatFactor(factor) {
+  return isFinite(factor) ? factor.toFixed(4) : '—';
+}
+
+function formatMultiple(multiple) {
+  return isFinite(multiple) ? `${multiple.toFixed(2)}×` : '—';
+}
+
+function formatPercent(rate) {
+  return isFinite(rate) ? `${(rate * 100).toFixed(1)}%` : '—';
+}
+
 function formatCurrency(amount, showNegativeAsParens = false) {
   if (isNaN(amount)) return '$0.00';
   const formatter = new Intl.NumberFormat('en-US', {
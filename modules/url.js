@@ -0,0 +1,86 @@
+/**
+ * url.js – Shareable URLs
+ * Inputs, selected model and view are kept in the query string. Only values
+ * that differ from the defaults are written, so links stay short.
+ */
+import { state, DEFAULT_INPUTS } from './state.js';
+import { MODEL_KEYS } from './calculations.js';
+import { validateAll } from './validation.js';
+
+const DEFAULT_MODEL = state.selectedModel;
+const DEFAULT_VIEW = state.view;
+
+/**
+ * Serialise the shareable part of the state
+ * @param {Object} s - state
+ * @returns {string} Query string without the leading '?'
+ */
+export function serializeState({ inputs, selectedModel, view }) {
+  const params = new URLSearchParams();
+
+  Object.keys(DEFAULT_INPUTS).forEach(key => {
+    const text = encodeValue(inputs[key]);
+    if (text !== encodeValue(DEFAULT_INPUTS[key])) params.set(key, text);
+  });
+  if (selectedModel !== DEFAULT_MODEL) params.set('model', selectedModel);
+  if (view !== DEFAULT_VIEW) params.set('view', view);
+
+  return params.toString();
+}
+
+/**
+ * Read a scenario from a query string
+ * Values that fail validation fall back to their defaults.
+ * @param {string} search - location.search
+ * @param {string[]} views - Views the page offers
+ * @returns {Object} { inputs, selectedModel, view, rejected } where rejected
+ *   lists the parameters that were ignored
+ */
+export function parseStateFromURL(search, views) {
+  const params = new URLSearchParams(search);
+  const inputs = { ...DEFAULT_INPUTS };
+  const rejected = [];
+
+  Object.keys(DEFAULT_INPUTS).forEach(key => {
+    if (params.has(key)) inputs[key] = decodeValue(params.get(key), DEFAULT_INPUTS[key]);
+  });
+
+  // Reset fields that fail; if the rest still conflict, ignore the URL inputs
+  Object.keys(validateAll(inputs)).forEach(key => {
+    inputs[key] = DEFAULT_INPUTS[key];
+    if (params.has(key)) rejected.push(key);
+  });
+  let restoredInputs = inputs;
+  if (Object.keys(validateAll(inputs)).length) {
+    restoredInputs = { ...DEFAULT_INPUTS };
+    Object.keys(DEFAULT_INPUTS).forEach(key => {
+      if (params.has(key) && !rejected.includes(key)) rejected.push(key);
+    });
+  }
+
+  const model = params.get('model');
+  const selectedModel = model === 'all' || MODEL_KEYS.includes(model) ? model : DEFAULT_MODEL;
+  if (model !== null && selectedModel !== model) rejected.push('model');
+
+  const requestedView = params.get('view');
+  const view = views.includes(requestedView) ? requestedView : DEFAULT_VIEW;
+  if (requestedView !== null && view !== requestedView) rejected.push('view');
+
+  return { inputs: restoredInputs, selectedModel, view, rejected };
+}
+
+function encodeValue(value) {
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (Array.isArray(value)) return value.map(encodeValue).join(',');
+  return isFinite(value) ? String(value) : '';
+}
+
+function decodeValue(text, fallback) {
+  if (typeof fallback === 'boolean') return text === '1' || text === 'true';
+  if (Array.isArray(fallback)) return text === '' ? [] : text.split(',').map(toNumber);
+  return toNumber(text);
+}
+
+function toNumber(text) {
+  return text.trim() === '' ? NaN : Number(text);
+}
@@ -133,20 +133,30 @@ export function listen(element, event, handler) {
  * Debounce function calls
  * @param {Function} func - Function to debounce
  * @param {number} wait - Wait time in milliseconds
- * @returns {Function} Debounced function
+ * @returns {Function} Debounced function, with flush() to run a waiting call now
  */
 export function debounce(func, wait = 300) {
   let timeout;
+  let pending = null;
   
-  return function executedFunction(...args) {
+  function executedFunction(...args) {
     const later = () => {
       clearTimeout(timeout);
+      pending = null;
       func(...args);
     };
     
     clearTimeout(timeout);
+    pending = later;
     timeout = setTimeout(later, wait);
+  }
+
+  // Run a waiting call now instead of after the delay
+  executedFunction.flush = () => {
+    if (pending) pending();
   };
+
+  return executedFunction;
 }
 
 /**
@@ -197,4 +207,144 @@ export function isVisible(element) {
   return element.offsetWidth > 0 && 
          element.offsetHeight > 0 && 
          window.getComputedStyle(element).display !== 'none';
+}
+
+/**
+ * Escape text for insertion into HTML markup
+ * @param {string} text - Untrusted text
+ * @returns {string} Escaped text
+ */
+export function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  }[ch]));
+}
+
+/**
+ * Build CSV text from rows of values
+ * @param {Array<Array<string|number>>} rows - Rows of cells
+ * @returns {string} CSV text (RFC 4180 quoting)
+ */
+export function toCSV(rows) {
+  return rows
+    .map(row => row.map(cell => {
+      if (cell == null || (typeof cell === 'number' && !isFinite(cell))) return '';
+      const text = String(cell);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(','))
+    .join('\r\n');
+}
+
+/**
+ * Plain-text table: first column left-aligned, the rest right-aligned
+ * @param {string[]} header - Column headings
+ * @param {string[][]} rows - Rows of formatted cells
+ * @returns {string} Lines separated by \n
+ */
+export function toTextTable(header, rows) {
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(row => row[i].length)));
+  const line = (cells) => cells
+    .map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])))
+    .join('  ')
+    .trimEnd();
+  return [line(header), widths.map(w => '-'.repeat(w)).join('  '), ...rows.map(line)].join('\n');
+}
+
+/**
+ * Build an Excel 2003 XML (SpreadsheetML) workbook
+ * Numbers are written as numeric cells; null, NaN and Infinity as empty cells.
+ * @param {Object[]} sheets - { name, rows, headerRows } where headerRows lists
+ *   the indexes of rows to show in bold
+ * @returns {string} XML text, opened by Excel and LibreOffice
+ */
+export function toSpreadsheetML(sheets) {
+  const cell = (value) => {
+    if (value == null || (typeof value === 'number' && !isFinite(value))) return '<Cell/>';
+    const type = typeof value === 'number' ? 'Number' : 'String';
+    return `<Cell><Data ss:Type="${type}">${escapeHTML(value)}</Data></Cell>`;
+  };
+
+  const worksheets = sheets.map(({ name, rows, headerRows = [] }) => {
+    const body = rows.map((row, i) => (
+      `<Row${headerRows.includes(i) ? ' ss:StyleID="header"' : ''}>${row.map(cell).join('')}</Row>`
+    ));
+    // Sheet names are limited to 31 characters without []:*?/\
+    const sheetName = name.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+    return `<Worksheet ss:Name="${escapeHTML(sheetName)}"><Table>${body.join('\n')}</Table></Worksheet>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<?mso-application progid="Excel.Sheet"?>',
+    '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet"'
+      + ' xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+    '<Styles><Style ss:ID="header"><Font ss:Bold="1"/></Style></Styles>',
+    ...worksheets,
+    '</Workbook>'
+  ].join('\n');
+}
+
+/**
+ * Parse CSV text into rows of strings
+ * Handles quoted cells, doubled quotes and CRLF line endings; blank lines are skipped.
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of cells
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) endRow();
+
+  return rows;
+}
+
+/**
+ * Download text content as a file (client-side)
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ */
+export function downloadFile(filename, content, type = 'text/plain') {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
 }
\ No newline at end of file
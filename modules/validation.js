@@ -3,6 +3,7 @@
  * Matches the pattern used in other calculators
  */
 import { $ } from './utils.js';
+import { MAX_SCHEDULE_YEARS } from './schedule.js';
 
 /* ---------- 1. RULES ---------- */
 const RULES = {
@@ -40,12 +41,133 @@ const RULES = {
   },
   shortYears: {
     min: 1,
-    max: 10,
+    max: 50,
     required: true,
     label: 'High Growth Period',
+    custom: (v, all) => (
+      v > all.horizonYears ? 'High Growth Period must be ≤ projection horizon' : null
+    ),
+  },
+  transitionYears: {
+    min: 1,
+    max: 20,
+    required: true,
+    label: 'Transition Period',
+    custom: (v, all) => (
+      Number.isInteger(v) ? null : 'Transition Period must be a whole number of years'
+    ),
+  },
+  halfLife: {
+    min: 0.5,
+    max: 20,
+    required: true,
+    label: 'Half-life (H)',
+  },
+  horizonYears: {
+    min: 1,
+    max: 50,
+    required: true,
+    label: 'Projection Horizon',
+    custom: (v) => (
+      Number.isInteger(v) ? null : 'Projection Horizon must be a whole number of years'
+    ),
+  },
+  customDividends: {
+    label: 'Dividend Schedule',
+    custom: (v) => {
+      if (!Array.isArray(v) || !v.length) return 'Dividend Schedule needs at least one year';
+      if (v.length > MAX_SCHEDULE_YEARS) return `Dividend Schedule must be ≤ ${MAX_SCHEDULE_YEARS} years`;
+      const bad = v.findIndex(d => !(d >= 0.01 && d <= 1000));
+      return bad === -1 ? null : `Dividend Schedule year ${bad + 1} must be between 0.01 and 1000`;
+    },
+  },
+  gTerminal: {
+    min: -10,
+    max: 30,
+    required: true,
+    label: 'Terminal Growth',
+    custom: (v, all) => (v >= all.required ? 'Terminal growth must be < required return' : null),
+  },
+  holdingYears: {
+    min: 1,
+    max: 50,
+    required: false,
+    label: 'Holding Period',
+    custom: (v, all) => {
+      if (isNaN(v)) return null;
+      if (!Number.isInteger(v)) return 'Holding Period must be a whole number of years';
+      return v > all.horizonYears ? 'Holding Period must be ≤ projection horizon' : null;
+    },
+  },
+  frequency: {
+    required: true,
+    label: 'Payment Frequency',
+    custom: (v) => ([1, 2, 4, 12].includes(v) ? null : 'Payment Frequency must be annual, semi-annual, quarterly or monthly'),
+  },
+  marketPrice: {
+    min: 0.01,
+    max: 100000,
+    required: false,
+    label: 'Market Price',
+  },
+  eps: {
+    min: 0.01,
+    max: 1000,
+    required: false,
+    label: 'Earnings per Share',
+  },
+  bvps: {
+    min: 0.01,
+    max: 10000,
+    required: false,
+    label: 'Book Value per Share',
+  },
+  roe: {
+    min: -50,
+    max: 100,
+    required: false,
+    label: 'Return on Equity',
+  },
+  payout: {
+    min: 0,
+    max: 100,
+    required: false,
+    label: 'Payout Ratio',
+  },
+  riskFree: {
+    min: -5,
+    max: 20,
+    required: false,
+    label: 'Risk-free Rate',
+  },
+  beta: {
+    min: -2,
+    max: 5,
+    required: false,
+    label: 'Beta',
+  },
+  erp: {
+    min: 0,
+    max: 20,
+    required: false,
+    label: 'Equity Risk Premium',
+  },
+  sizePremium: {
+    min: -5,
+    max: 20,
+    required: false,
+    label: 'Size/Specific Premium',
   },
 };
 
+/**
+ * Display label of an input, for exports and reports
+ */
+export function getFieldLabel(field) {
+  if (field === 'includeTerminal') return 'Include Terminal Value';
+  return RULES[field] ? RULES[field].label : field;
+}
+
 /* ---------- 2. SINGLE FIELD ---------- */
 export function validateField(field, value, allInputs = {}) {
   const r = RULES[field];
@@ -74,6 +196,36 @@ export function validateAll(inputs) {
   return errors;
 }
 
+/* ---------- 3b. SIMULATION SETTINGS ---------- */
+// Errors are keyed by the element id of the offending field
+export function validateSimulation(simulation, inputs) {
+  const errors = {};
+  const { trials, seed, distributions } = simulation;
+
+  if (!Number.isInteger(trials) || trials < 100 || trials > 20000) {
+    errors['sim-trials'] = 'Trials must be a whole number between 100 and 20000';
+  }
+  if (!Number.isInteger(seed) || seed < 0) {
+    errors['sim-seed'] = 'Seed must be a non-negative whole number';
+  }
+
+  for (const key in distributions) {
+    const d = distributions[key];
+    const label = RULES[key].label;
+    if (d.type === 'normal' && !(d.sd >= 0)) {
+      errors[`sim-${key}-sd`] = `${label}: standard deviation must be ≥ 0`;
+    }
+    if (d.type === 'uniform' || d.type === 'triangular') {
+      if (isNaN(d.min) || isNaN(d.max) || d.min > d.max) {
+        errors[`sim-${key}-min`] = `${label}: min must be ≤ max`;
+      } else if (d.type === 'triangular' && (inputs[key] < d.min || inputs[key] > d.max)) {
+        errors[`sim-${key}-min`] = `${label}: range must contain the base value ${inputs[key]}`;
+      }
+    }
+  }
+  return errors;
+}
+
 /* ---------- 4. UI HELPERS ---------- */
 export function updateFieldError(fieldId, msg) {
   const el = $(`#${fieldId}`);
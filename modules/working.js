@@ -0,0 +1,304 @@
+/**
+ * working.js – "Show working" panels with the user's numbers substituted
+ * MathML is built as strings, using the colours of the equation card.
+ */
+import { FREQUENCIES, getAnnualDividends, getModelMetadata } from './calculations.js';
+
+const COLORS = {
+  dividend: '#b95b1d',
+  rate: '#733599',
+  growthRate: '#15803d'
+};
+
+// Longer sums show the first terms, an ellipsis and the last term
+const MAX_SUM_TERMS = 6;
+
+// Panels the user has opened survive re-rendering on every state change
+const openPanels = new Set();
+
+/* ---------- MathML helpers ---------- */
+const mo = (op) => `<mo>${op}</mo>`;
+const mn = (value) => `<mn>${value}</mn>`;
+const row = (...parts) => `<mrow>${parts.join('')}</mrow>`;
+const frac = (num, den) => `<mfrac>${num}${den}</mfrac>`;
+const paren = (inner) => row(mo('('), inner, mo(')'));
+const sup = (base, exp) => `<msup>${base}${exp}</msup>`;
+const sub = (base, index) => `<msub>${base}${index}</msub>`;
+const mi = (name, color) => `<mi${color ? ` mathcolor="${color}"` : ''}>${name}</mi>`;
+const eq = (...sides) => sides.join(mo('='));
+
+const D = (index) => sub(mi('D', COLORS.dividend), typeof index === 'number' ? mn(index) : index);
+const r = () => mi('r', COLORS.rate);
+const g = (index) => (index ? sub(mi('g', COLORS.growthRate), mi(index)) : mi('g', COLORS.growthRate));
+const P = (modelKey, index) => {
+  const symbol = `<mi mathcolor="${getModelMetadata(modelKey).color}" mathvariant="bold">P</mi>`;
+  return index === undefined ? symbol : sub(symbol, typeof index === 'number' ? mn(index) : index);
+};
+
+function math(content) {
+  return `<math xmlns="http://www.w3.org/1998/Math/MathML" display="block">${content}</math>`;
+}
+
+/* ---------- Number formatting ---------- */
+function money(value) {
+  return mn(signed(value.toFixed(2)));
+}
+
+// Rates as decimals: at least two places, up to four
+function rate(value) {
+  const text = value.toFixed(4).replace(/(\.\d\d\d*?)0+$/, '$1');
+  return mn(signed(text));
+}
+
+function growthFactor(value) {
+  return rate(1 + value);
+}
+
+function signed(text) {
+  return text.replace('-', '−');
+}
+
+/**
+ * (1 + r)^t with the rate substituted
+ */
+function discount(required, t) {
+  return sup(growthFactor(required), mn(t));
+}
+
+/**
+ * Build the worked solution for one model
+ * @param {string} modelKey - Model identifier
+ * @param {Object} params - Model parameters (decimals), as from toModelParams
+ * @param {Object} result - Model result from calculateAllModels
+ * @returns {HTMLElement|null} Collapsible panel, or null for an invalid price
+ */
+export function renderWorking(modelKey, params, result) {
+  if (!isFinite(result.price)) return null;
+
+  const panel = document.createElement('details');
+  panel.className = 'result-working';
+  panel.open = openPanels.has(modelKey);
+  panel.addEventListener('toggle', () => {
+    if (panel.open) openPanels.add(modelKey);
+    else openPanels.delete(modelKey);
+  });
+
+  const summary = document.createElement('summary');
+  summary.textContent = 'Show working';
+  panel.appendChild(summary);
+
+  panel.insertAdjacentHTML('beforeend', renderWorkingMarkup(modelKey, params, result));
+  return panel;
+}
+
+/**
+ * The worked solution as markup, e.g. for the printable report
+ * @returns {string} One .working-step per step, then a .working-note for
+ *   sub-annual payments; '' for an invalid price
+ */
+export function renderWorkingMarkup(modelKey, params, result) {
+  if (!isFinite(result.price)) return '';
+
+  const steps = BUILDERS[modelKey](params, modelKey)
+    .map(step => `<div class="working-step">${math(step)}</div>`);
+
+  // The steps use annual payments; note how the headline price differs
+  const m = params.frequency || 1;
+  if (m > 1) {
+    steps.push(`<p class="working-note">Working shown for annual payments. With ${FREQUENCIES[m].name.toLowerCase()} `
+      + `payments the price is $${result.price.toFixed(2)}.</p>`);
+  }
+
+  return steps.join('');
+}
+
+/* ---------- Per-model steps ---------- */
+function constantSteps({ D0, required }, modelKey) {
+  return [
+    eq(P(modelKey), frac(D(0), r()), frac(money(D0), rate(required)), money(D0 / required))
+  ];
+}
+
+function growthSteps({ D0, required, gConst }, modelKey) {
+  const D1 = D0 * (1 + gConst);
+  return [
+    eq(D(1), row(D(0), paren(row(mn(1), mo('+'), g()))), row(money(D0), mo('×'), growthFactor(gConst)), money(D1)),
+    eq(
+      P(modelKey),
+      frac(D(1), row(r(), mo('−'), g())),
+      frac(money(D1), row(rate(required), mo('−'), rate(gConst))),
+      money(D1 / (required - gConst))
+    )
+  ];
+}
+
+function changingSteps(params, modelKey) {
+  const { D0, required, gShort, gLong, shortYears } = params;
+  const dividends = getAnnualDividends('changing', params, shortYears);
+
+  const rows = dividends.map((div, i) => {
+    const t = i + 1;
+    return [
+      eq(D(t), row(money(D0), mo('×'), sup(growthFactor(gShort), mn(t))), money(div)),
+      pvOf(div, required, t)
+    ];
+  });
+  const pvHigh = sumPV(dividends, required);
+
+  return [
+    eq(D(mi('t')), row(D(0), sup(paren(row(mn(1), mo('+'), g('S'))), mi('t')))),
+    yearTable(rows),
+    sumStep('high', dividends, required, pvHigh),
+    ...terminalSteps(modelKey, dividends[dividends.length - 1], shortYears, required, gLong, 'L'),
+    priceStep(modelKey, [['high', pvHigh], ['term', terminalPV(dividends, required, gLong)]])
+  ];
+}
+
+function threeStageSteps(params, modelKey) {
+  const { D0, required, gLong, shortYears, transitionYears } = params;
+  const fadeEnd = shortYears + transitionYears;
+  const dividends = getAnnualDividends('threestage', params, fadeEnd);
+
+  const rows = dividends.map((div, i) => {
+    const t = i + 1;
+    const prev = i === 0 ? D0 : dividends[i - 1];
+    return [
+      eq(D(t), row(money(prev), mo('×'), growthFactor(div / prev - 1)), money(div)),
+      pvOf(div, required, t)
+    ];
+  });
+  const high = dividends.slice(0, shortYears);
+  const pvHigh = sumPV(high, required);
+  const pvTransition = sumPV(dividends, required) - pvHigh;
+
+  return [
+    eq(D(mi('t')), row(D(row(mi('t'), mo('−'), mn(1))), paren(row(mn(1), mo('+'), sub(mi('g', COLORS.growthRate), mi('t')))))),
+    yearTable(rows),
+    sumStep('high', high, required, pvHigh),
+    sumStep('trans', dividends.slice(shortYears), required, pvTransition, shortYears),
+    ...terminalSteps(modelKey, dividends[dividends.length - 1], fadeEnd, required, gLong, 'L'),
+    priceStep(modelKey, [
+      ['high', pvHigh],
+      ['trans', pvTransition],
+      ['term', terminalPV(dividends, required, gLong)]
+    ])
+  ];
+}
+
+function hModelSteps({ D0, required, gShort, gLong, halfLife }, modelKey) {
+  const stable = D0 * (1 + gLong);
+  const premium = D0 * halfLife * (gShort - gLong);
+  return [
+    eq(
+      P(modelKey),
+      frac(
+        row(D(0), paren(row(mn(1), mo('+'), g('L'))), mo('+'), D(0), mi('H'), paren(row(g('S'), mo('−'), g('L')))),
+        row(r(), mo('−'), g('L'))
+      ),
+      frac(
+        row(
+          money(D0), mo('×'), growthFactor(gLong), mo('+'),
+          money(D0), mo('×'), mn(halfLife), mo('×'), paren(row(rate(gShort), mo('−'), rate(gLong)))
+        ),
+        row(rate(required), mo('−'), rate(gLong))
+      )
+    ),
+    eq(
+      P(modelKey),
+      frac(row(money(stable), mo('+'), money(premium)), rate(required - gLong)),
+      money((stable + premium) / (required - gLong))
+    )
+  ];
+}
+
+function customSteps(params, modelKey) {
+  const { required, gTerminal } = params;
+  const dividends = params.customDividends;
+  const rows = dividends.map((div, i) => [eq(D(i + 1), money(div)), pvOf(div, required, i + 1)]);
+  const pvSchedule = sumPV(dividends, required);
+
+  return [
+    yearTable(rows),
+    sumStep('sched', dividends, required, pvSchedule),
+    ...terminalSteps(modelKey, dividends[dividends.length - 1], dividends.length, required, gTerminal, 'T'),
+    priceStep(modelKey, [['sched', pvSchedule], ['term', terminalPV(dividends, required, gTerminal)]])
+  ];
+}
+
+const BUILDERS = {
+  constant: constantSteps,
+  growth: growthSteps,
+  changing: changingSteps,
+  threestage: threeStageSteps,
+  hmodel: hModelSteps,
+  custom: customSteps
+};
+
+/* ---------- Shared steps ---------- */
+function pvOf(div, required, t) {
+  return eq(
+    sub(mtext('PV'), mn(t)),
+    frac(money(div), discount(required, t)),
+    money(div / Math.pow(1 + required, t))
+  );
+}
+
+function yearTable(rows) {
+  const cells = rows.map(([left, right]) => `<mtr><mtd>${left}</mtd><mtd>${right}</mtd></mtr>`);
+  return `<mtable columnalign="left left" columnspacing="2em">${cells.join('')}</mtable>`;
+}
+
+/**
+ * PV(stage) = PV₁ + PV₂ + … = total (offset = years before the stage starts)
+ */
+function sumStep(stage, dividends, required, total, offset = 0) {
+  let terms = dividends.map((div, i) => money(div / Math.pow(1 + required, offset + i + 1)));
+  if (terms.length > MAX_SUM_TERMS) {
+    terms = [...terms.slice(0, 3), mo('⋯'), terms[terms.length - 1]];
+  }
+  return eq(pvLabel(stage), row(...terms.flatMap((term, i) => (i ? [mo('+'), term] : [term]))), money(total));
+}
+
+/**
+ * Terminal value at year N from the last explicit dividend, then its PV
+ */
+function terminalSteps(modelKey, lastDiv, n, required, growth, index) {
+  const nextDiv = lastDiv * (1 + growth);
+  const terminal = nextDiv / (required - growth);
+  const next = row(mn(n), mo('+'), mn(1));
+  return [
+    eq(D(next), row(D(n), paren(row(mn(1), mo('+'), g(index)))), row(money(lastDiv), mo('×'), growthFactor(growth)), money(nextDiv)),
+    eq(
+      P(modelKey, n),
+      frac(D(next), row(r(), mo('−'), g(index))),
+      frac(money(nextDiv), row(rate(required), mo('−'), rate(growth))),
+      money(terminal)
+    ),
+    eq(pvLabel('term'), frac(P(modelKey, n), sup(paren(row(mn(1), mo('+'), r())), mn(n))), frac(money(terminal), discount(required, n)), money(terminal / Math.pow(1 + required, n)))
+  ];
+}
+
+function terminalPV(dividends, required, growth) {
+  const n = dividends.length;
+  const terminal = dividends[n - 1] * (1 + growth) / (required - growth);
+  return terminal / Math.pow(1 + required, n);
+}
+
+function priceStep(modelKey, parts) {
+  const total = parts.reduce((sum, [, value]) => sum + value, 0);
+  const labels = parts.flatMap(([stage], i) => (i ? [mo('+'), pvLabel(stage)] : [pvLabel(stage)]));
+  const values = parts.flatMap(([, value], i) => (i ? [mo('+'), money(value)] : [money(value)]));
+  return eq(P(modelKey), row(...labels), row(...values), money(total));
+}
+
+function sumPV(dividends, required) {
+  return dividends.reduce((sum, div, i) => sum + div / Math.pow(1 + required, i + 1), 0);
+}
+
+function pvLabel(stage) {
+  return row(mtext('PV'), paren(mtext(stage)));
+}
+
+function mtext(text) {
+  return `<mtext>${text}</mtext>`;
+}